@@ -0,0 +1,273 @@
+const {console, preferences, utils, file} = iina;
+
+const ARCHIVE_INDEX_FILE = "index.json";
+const ARCHIVE_LOCK_DIR = "index.lock";
+const ARCHIVE_LOCK_RETRY_MS = 100;
+const ARCHIVE_LOCK_MAX_ATTEMPTS = 50;
+const SPEAKER_NAMES_FILE = "speakers.json";
+const FINGERPRINT_SAMPLE_BYTES = 1024 * 1024;
+
+// Hashing a whole feature film is too slow, so the fingerprint covers the file size plus its
+// first and last megabyte, which is enough to tell different encodes of the same episode apart.
+// Network media is identified by its URL.
+export async function fingerprintMedia(mediaPath) {
+    const script = /^[a-z][a-z0-9+.-]*:\/\//i.test(mediaPath)
+        ? `/usr/bin/printf %s "$1" | /usr/bin/shasum -a 256`
+        : `{ /usr/bin/stat -f %z "$1"; /usr/bin/head -c ${FINGERPRINT_SAMPLE_BYTES} "$1"; /usr/bin/tail -c ${FINGERPRINT_SAMPLE_BYTES} "$1"; } | /usr/bin/shasum -a 256`;
+    try {
+        const {status, stdout} = await utils.exec("/bin/sh", ["-c", script, "sh", mediaPath]);
+        const digest = (stdout || "").trim().split(/\s+/)[0];
+        return status === 0 && /^[0-9a-f]{64}$/.test(digest) ? digest : null;
+    } catch (error) {
+        console.warn(`Unable to fingerprint ${mediaPath}: ${error.message}`);
+        return null;
+    }
+}
+
+// Archived transcripts of the media whose descriptor matches cacheInfo's except for `ignoredKeys`,
+// those matching in full first (flagged `exact`), each newest first.
+export function findCachedTranscripts(cacheInfo, ignoredKeys = []) {
+    if (!cacheInfo?.fingerprint) {
+        return [];
+    }
+    const describe = descriptor => canonicalJson(omitKeys(descriptor, ignoredKeys));
+    const descriptorKey = describe(cacheInfo.descriptor);
+    const fullKey = canonicalJson(cacheInfo.descriptor);
+    const matches = listArchivedTranscripts(cacheInfo.fingerprint)
+        .filter(entry => entry.descriptor && describe(entry.descriptor) === descriptorKey)
+        .map(entry => ({...entry, exact: canonicalJson(entry.descriptor) === fullKey}));
+    return matches.filter(entry => entry.exact).concat(matches.filter(entry => !entry.exact));
+}
+
+function omitKeys(value, keys) {
+    const copy = {...value};
+    keys.forEach(key => delete copy[key]);
+    return copy;
+}
+
+// Descriptors are compared regardless of key order, so one rebuilt from an archived entry (e.g. by a
+// re-render) matches one described from scratch.
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Newest first; entries whose subtitle file has been removed from the archive are skipped.
+export function listArchivedTranscripts(fingerprint) {
+    const archiveDir = resolveArchiveDirectory();
+    if (!archiveDir || !fingerprint) {
+        return [];
+    }
+    return readArchiveIndex(archiveDir)
+        .filter(entry => entry.fingerprint === fingerprint)
+        .map(entry => ({...entry, path: `${archiveDir}/${entry.fileName}`}))
+        .filter(entry => file.exists(entry.path))
+        .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+}
+
+// The segments are kept next to the subtitle so it can be rendered again, e.g. after speakers were
+// renamed, without parsing the speaker labels back out of the rendered text. The raw backend output
+// (`sidecars.raw`) allows parsing it again with other settings. Returns the archived copy's path, or
+// null when nothing was archived.
+export async function persistSubtitleCopy(subtitlePath, mediaFile, cacheInfo = null, sidecars = {}) {
+    const archiveDir = resolveArchiveDirectory();
+    if (!archiveDir) {
+        return null;
+    }
+    try {
+        await execChecked("/bin/mkdir", ["-p", archiveDir]);
+        return await withArchiveLock(archiveDir, async () => {
+            const extension = subtitlePath.substring(subtitlePath.lastIndexOf(".") + 1);
+            const language = cacheInfo?.language;
+            const label = cacheInfo?.descriptor?.task === "translate" ? ".en-translation" : language ? `.${language}` : "";
+            const archiveName = findFreeArchiveName(archiveDir, `${sanitizeFileStem(mediaFile)}-${formatTimestampSuffix()}`, `${label}.${extension}`);
+            const destination = `${archiveDir}/${archiveName}`;
+            await execChecked("/bin/cp", ["-f", subtitlePath, destination]);
+            console.log(`Stored subtitle copy at ${destination}`);
+            if (cacheInfo?.fingerprint) {
+                const segmentsFile = sidecars.segments ? `${archiveName}.segments.json` : null;
+                if (segmentsFile) {
+                    file.write(`${archiveDir}/${segmentsFile}`, JSON.stringify(sidecars.segments));
+                }
+                const rawFile = sidecars.raw ? `${archiveName}.raw.json` : null;
+                if (rawFile) {
+                    file.write(`${archiveDir}/${rawFile}`, JSON.stringify(sidecars.raw));
+                }
+                // Read under the lock, so entries other windows added meanwhile are kept.
+                const entries = readArchiveIndex(archiveDir);
+                entries.push({
+                    fingerprint: cacheInfo.fingerprint,
+                    descriptor: cacheInfo.descriptor,
+                    media: sanitizeFileStem(mediaFile),
+                    language: language || null,
+                    fileName: archiveName,
+                    segmentsFile,
+                    rawFile,
+                    createdAt: new Date().toISOString(),
+                });
+                await writeArchiveIndex(archiveDir, entries);
+            }
+            return destination;
+        });
+    } catch (error) {
+        console.warn(`Failed to archive subtitle: ${error.message}`);
+        return null;
+    }
+}
+
+// Null for entries archived before segments were kept; callers fall back to parsing the subtitle.
+export function readArchivedSegments(entry) {
+    const parsed = readSidecar(entry?.segmentsFile);
+    return Array.isArray(parsed) ? parsed : null;
+}
+
+export function readArchivedRawOutput(entry) {
+    const parsed = readSidecar(entry?.rawFile);
+    return parsed && Array.isArray(parsed.chunks) ? parsed : null;
+}
+
+function readSidecar(fileName) {
+    const archiveDir = resolveArchiveDirectory();
+    if (!archiveDir || !fileName) {
+        return null;
+    }
+    const sidecarPath = `${archiveDir}/${fileName}`;
+    try {
+        return file.exists(sidecarPath) ? JSON.parse(file.read(sidecarPath) || "null") : null;
+    } catch (error) {
+        console.warn(`Unable to read ${sidecarPath}: ${error.message}`);
+        return null;
+    }
+}
+
+// Speaker names are per media, keyed by fingerprint like the archive index, so every transcript of
+// the same file shows the same names.
+export function readSpeakerNames(fingerprint) {
+    const archiveDir = resolveArchiveDirectory();
+    if (!archiveDir || !fingerprint) {
+        return {};
+    }
+    const namesPath = `${archiveDir}/${SPEAKER_NAMES_FILE}`;
+    try {
+        const parsed = file.exists(namesPath) ? JSON.parse(file.read(namesPath) || "{}") : {};
+        return parsed?.[fingerprint] || {};
+    } catch (error) {
+        console.warn(`Unable to read speaker names ${namesPath}: ${error.message}`);
+        return {};
+    }
+}
+
+export async function writeSpeakerNames(fingerprint, names) {
+    const archiveDir = resolveArchiveDirectory();
+    if (!archiveDir || !fingerprint) {
+        throw new Error("Speaker names are stored with the subtitle archive, which is disabled in the preferences.");
+    }
+    await execChecked("/bin/mkdir", ["-p", archiveDir]);
+    const namesPath = `${archiveDir}/${SPEAKER_NAMES_FILE}`;
+    let all = {};
+    try {
+        all = file.exists(namesPath) ? JSON.parse(file.read(namesPath) || "{}") || {} : {};
+    } catch (error) {
+        console.warn(`Replacing unreadable speaker names ${namesPath}: ${error.message}`);
+    }
+    if (Object.keys(names).length > 0) {
+        all[fingerprint] = names;
+    } else {
+        delete all[fingerprint];
+    }
+    file.write(namesPath, JSON.stringify(all, null, 2));
+}
+
+function readArchiveIndex(archiveDir) {
+    const indexPath = `${archiveDir}/${ARCHIVE_INDEX_FILE}`;
+    try {
+        if (!file.exists(indexPath)) {
+            return [];
+        }
+        const parsed = JSON.parse(file.read(indexPath) || "[]");
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.warn(`Unable to read archive index ${indexPath}: ${error.message}`);
+        return [];
+    }
+}
+
+// Written next to the index and renamed over it, so a reader never sees half an index.
+async function writeArchiveIndex(archiveDir, entries) {
+    const indexPath = `${archiveDir}/${ARCHIVE_INDEX_FILE}`;
+    file.write(`${indexPath}.tmp`, JSON.stringify(entries, null, 2));
+    await execChecked("/bin/mv", ["-f", `${indexPath}.tmp`, indexPath]);
+}
+
+// Every player window archives on its own, so the archive is changed under a lock: mkdir either
+// creates the lock directory or fails, atomically. A lock left behind by a window that crashed is
+// broken after a few seconds.
+async function withArchiveLock(archiveDir, action) {
+    const lockPath = `${archiveDir}/${ARCHIVE_LOCK_DIR}`;
+    for (let attempt = 1; ; attempt += 1) {
+        const {status} = await utils.exec("/bin/mkdir", [lockPath]);
+        if (status === 0) {
+            break;
+        }
+        if (attempt >= ARCHIVE_LOCK_MAX_ATTEMPTS) {
+            console.warn(`[Whisperina] Breaking stale archive lock ${lockPath}.`);
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, ARCHIVE_LOCK_RETRY_MS));
+    }
+    try {
+        return await action();
+    } finally {
+        await utils.exec("/bin/rmdir", [lockPath]);
+    }
+}
+
+// Archives of the same media made within the same millisecond get a counter instead of overwriting
+// each other.
+function findFreeArchiveName(archiveDir, stem, suffix) {
+    let name = `${stem}${suffix}`;
+    for (let counter = 2; file.exists(`${archiveDir}/${name}`); counter += 1) {
+        name = `${stem}-${counter}${suffix}`;
+    }
+    return name;
+}
+
+async function execChecked(binary, args) {
+    const {status, stderr} = await utils.exec(binary, args);
+    if (status !== 0) {
+        throw new Error(`${binary} exited with status ${status}: ${stderr}`);
+    }
+}
+
+function resolveArchiveDirectory() {
+    const configured = preferences.get("subtitle_archive_dir");
+    if (!configured) {
+        return null;
+    }
+    try {
+        return utils.resolvePath(configured);
+    } catch (error) {
+        console.warn(`Unable to resolve archive directory "${configured}": ${error.message}`);
+        return null;
+    }
+}
+
+function sanitizeFileStem(filePath) {
+    if (!filePath) {
+        return "subtitle";
+    }
+    const normalized = filePath.replace(/\\/g, "/");
+    const baseName = normalized.substring(normalized.lastIndexOf("/") + 1) || "subtitle";
+    const stem = baseName.replace(/\.[^/.]+$/, "") || "subtitle";
+    return stem.replace(/[^A-Za-z0-9._-]+/g, "_") || "subtitle";
+}
+
+function formatTimestampSuffix(date = new Date()) {
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}${pad(date.getMilliseconds(), 3)}`;
+}
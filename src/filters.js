@@ -0,0 +1,203 @@
+// Removes what Whisper models are known to invent: stock phrases from their training subtitles
+// ("Thanks for watching!"), runaway repetitions, and text over stretches of silence.
+
+const {preferences} = iina;
+
+export const DEFAULT_BLOCKLIST = [
+    "Thanks for watching!",
+    "Thank you for watching.",
+    "Thank you so much for watching.",
+    "Please subscribe to my channel.",
+    "Don't forget to like and subscribe.",
+    "Subtitles by the Amara.org community",
+    "Untertitel der Amara.org-Community",
+    "Sous-titres réalisés par la communauté d'Amara.org",
+    "Subtítulos realizados por la comunidad de Amara.org",
+    "ご視聴ありがとうございました",
+    "字幕由Amara.org社区提供",
+];
+
+export const DEFAULT_FILTER_OPTIONS = {
+    enabled: true,
+    noiseDb: -40,
+    minSilenceMs: 2000,
+    blocklist: DEFAULT_BLOCKLIST,
+};
+
+// Consecutive cues with the same text, and phrases repeated within a cue, from this count on.
+const RUNAWAY_CUE_REPEATS = 3;
+const RUNAWAY_PHRASE_REPEATS = 4;
+// Share of a segment that has to lie in silence for it to be dropped rather than trimmed.
+const SILENT_SEGMENT_RATIO = 0.8;
+const MIN_TRIMMED_DURATION_MS = 500;
+
+export function getFilterOptions() {
+    const enabled = preferences.get("hallucination_filter_enabled");
+    const noiseDb = parseFloat(preferences.get("silence_noise_db"));
+    const minSilence = parseFloat(preferences.get("silence_min_duration"));
+    const custom = `${preferences.get("hallucination_blocklist") || ""}`.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return {
+        enabled: enabled === undefined || enabled === null ? true : Boolean(enabled),
+        noiseDb: Number.isFinite(noiseDb) && noiseDb < 0 ? noiseDb : DEFAULT_FILTER_OPTIONS.noiseDb,
+        minSilenceMs: Number.isFinite(minSilence) && minSilence > 0 ? Math.round(minSilence * 1000) : DEFAULT_FILTER_OPTIONS.minSilenceMs,
+        blocklist: DEFAULT_BLOCKLIST.concat(custom),
+    };
+}
+
+// ffmpeg's silencedetect reports "silence_start: 12.3" and "silence_end: 15.6 | silence_duration: 3.3"
+// on stderr. Silence that lasts until the end of the audio has no end line.
+export function parseSilenceDetectOutput(output, offsetMs = 0) {
+    const silences = [];
+    let startMs = null;
+    (output || "").split(/\r?\n/).forEach(line => {
+        const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+        const end = line.match(/silence_end:\s*([\d.]+)/);
+        if (start) {
+            startMs = Math.max(0, Math.round(parseFloat(start[1]) * 1000));
+        } else if (end && startMs !== null) {
+            silences.push({startMs: startMs + offsetMs, endMs: Math.round(parseFloat(end[1]) * 1000) + offsetMs});
+            startMs = null;
+        }
+    });
+    if (startMs !== null) {
+        silences.push({startMs: startMs + offsetMs, endMs: Number.POSITIVE_INFINITY});
+    }
+    return silences;
+}
+
+// Returns the kept segments and counts of what was removed, for the log.
+export function filterHallucinations(segments, {silences = [], blocklist = DEFAULT_BLOCKLIST} = {}) {
+    const summary = {blocklisted: 0, repeatedCues: 0, repeatedPhrases: 0, silent: 0, trimmed: 0};
+    const blocked = blocklist.map(normalizeText).filter(Boolean);
+    let kept = [];
+    (segments || []).forEach(segment => {
+        let text = (segment.textLines || []).join(" ");
+        const normalized = normalizeText(text);
+        if (!normalized || blocked.includes(normalized)) {
+            summary.blocklisted += normalized ? 1 : 0;
+            return;
+        }
+        // Longer stock phrases also turn up appended to real speech.
+        blocked.filter(phrase => phrase.length >= 20 && normalized.includes(phrase)).forEach(phrase => {
+            const removed = removePhrase(text, phrase);
+            if (removed !== text) {
+                summary.blocklisted += 1;
+                text = removed;
+            }
+        });
+        const collapsed = collapseRepeatedPhrases(text);
+        if (collapsed !== text) {
+            summary.repeatedPhrases += 1;
+            text = collapsed;
+        }
+        if (!normalizeText(text)) {
+            return;
+        }
+        kept.push(text === segment.textLines.join(" ") ? segment : {...segment, textLines: [text.trim()]});
+    });
+    kept = collapseRepeatedCues(kept, summary);
+    return {segments: removeSilentSegments(kept, silences, summary), summary};
+}
+
+export function describeFilterSummary(summary) {
+    const parts = [
+        [summary.blocklisted, "blocklisted phrase(s)"],
+        [summary.repeatedCues, "repeated cue(s)"],
+        [summary.repeatedPhrases, "cue(s) with repeated phrases collapsed"],
+        [summary.silent, "cue(s) in silence"],
+        [summary.trimmed, "cue(s) trimmed to speech"],
+    ].filter(([count]) => count > 0);
+    return parts.length > 0 ? parts.map(([count, label]) => `${count} ${label}`).join(", ") : "nothing";
+}
+
+function collapseRepeatedCues(segments, summary) {
+    const result = [];
+    let runLength = 0;
+    segments.forEach((segment, index) => {
+        const previous = segments[index - 1];
+        runLength = previous && normalizeText(previous.textLines.join(" ")) === normalizeText(segment.textLines.join(" ")) ? runLength + 1 : 1;
+        if (runLength === RUNAWAY_CUE_REPEATS) {
+            // The run is runaway after all: drop the repeat kept before this one as well.
+            result.pop();
+            summary.repeatedCues += 1;
+        }
+        if (runLength >= RUNAWAY_CUE_REPEATS) {
+            summary.repeatedCues += 1;
+            return;
+        }
+        result.push(segment);
+    });
+    return result;
+}
+
+// "we will we will we will we will rock you" -> "we will rock you"
+function collapseRepeatedPhrases(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    for (let size = 1; size <= 8; size += 1) {
+        for (let start = 0; start + size * RUNAWAY_PHRASE_REPEATS <= words.length; start += 1) {
+            const phrase = normalizeText(words.slice(start, start + size).join(" "));
+            let repeats = 1;
+            while (start + (repeats + 1) * size <= words.length
+                && normalizeText(words.slice(start + repeats * size, start + (repeats + 1) * size).join(" ")) === phrase) {
+                repeats += 1;
+            }
+            if (phrase && repeats >= RUNAWAY_PHRASE_REPEATS) {
+                words.splice(start + size, (repeats - 1) * size);
+                return collapseRepeatedPhrases(words.join(" "));
+            }
+        }
+    }
+    return words.join(" ");
+}
+
+// Segments mostly inside silence are dropped; silence at either end of a segment is cut off.
+function removeSilentSegments(segments, silences, summary) {
+    if (silences.length === 0) {
+        return segments;
+    }
+    return segments.flatMap(segment => {
+        const durationMs = Math.max(1, segment.endMs - segment.startMs);
+        const silentMs = silences.reduce((sum, silence) => sum + Math.max(0, Math.min(segment.endMs, silence.endMs) - Math.max(segment.startMs, silence.startMs)), 0);
+        if (silentMs / durationMs >= SILENT_SEGMENT_RATIO) {
+            summary.silent += 1;
+            return [];
+        }
+        let {startMs, endMs} = segment;
+        silences.forEach(silence => {
+            if (silence.startMs <= startMs && silence.endMs > startMs && silence.endMs < endMs) {
+                startMs = silence.endMs;
+            }
+            if (silence.startMs > startMs && silence.startMs < endMs && silence.endMs >= endMs) {
+                endMs = silence.startMs;
+            }
+        });
+        if ((startMs === segment.startMs && endMs === segment.endMs) || endMs - startMs < MIN_TRIMMED_DURATION_MS) {
+            return [segment];
+        }
+        summary.trimmed += 1;
+        return [{...segment, startMs, endMs}];
+    });
+}
+
+// Word counts differ before and after normalizing ("Amara.org" is one word, then two), so windows are
+// grown until their normalized text is as long as the phrase.
+function removePhrase(text, normalizedPhrase) {
+    const words = text.split(/\s+/);
+    for (let start = 0; start < words.length; start += 1) {
+        for (let end = start + 1; end <= words.length; end += 1) {
+            const candidate = normalizeText(words.slice(start, end).join(" "));
+            if (candidate === normalizedPhrase) {
+                words.splice(start, end - start);
+                return words.join(" ");
+            }
+            if (candidate.length > normalizedPhrase.length) {
+                break;
+            }
+        }
+    }
+    return text;
+}
+
+function normalizeText(text) {
+    return `${text || ""}`.toLowerCase().replace(/[\s.,!?;:"'’…。！？-]+/g, " ").trim();
+}
@@ -1,21 +1,112 @@
-const {event, utils, console, file} = iina;
+import {JOB_MESSAGES, JOBS_DIRECTORY} from "./jobs";
+import {acquireWhisperServer, releaseWhisperServer, stopIdleWhisperServers, stopSlotWhisperServer} from "./server";
+import {refreshModelCatalogue} from "./models";
 
-const SERVER_PID_FILE = "@tmp/whisper_server.pid";
+const {event, global, preferences, utils, console, file} = iina;
 
-cleanupLingeringServer();
+const SERVER_PID_FILE_NAME = "whisper_server.pid";
 
-event.on("iina.window-will-close", cleanupLingeringServer);
-event.on("iina.window-did-close", cleanupLingeringServer);
+// Jobs waiting for a slot, in arrival order, and the jobs currently holding one.
+const queuedJobs = [];
+const runningJobs = new Map();
 
-function cleanupLingeringServer() {
-    killRecordedWhisperServer().catch(error => {
-        console.warn(`Failed to cleanup whisper-server: ${error.message}`);
+cleanupStaleJobs();
+refreshModelCatalogue().catch(error => console.warn(`Failed to list models: ${error.message}`));
+
+// Idle servers would otherwise keep running until their idle timeout, which never comes once IINA
+// quits. Servers still working for a job are stopped by the window that owns the job.
+event.on("iina.window-will-close", stopIdleServers);
+event.on("iina.window-did-close", stopIdleServers);
+
+global.onMessage(JOB_MESSAGES.enqueue, ({jobId}, player) => {
+    queuedJobs.push({jobId, player});
+    console.log(`[Whisperina] Job ${jobId} queued (${queuedJobs.length} waiting, ${runningJobs.size} running).`);
+    dispatchJobs();
+});
+
+global.onMessage(JOB_MESSAGES.finished, ({jobId}) => {
+    runningJobs.delete(jobId);
+    const index = queuedJobs.findIndex(entry => entry.jobId === jobId);
+    if (index >= 0) {
+        queuedJobs.splice(index, 1);
+    }
+    dispatchJobs();
+});
+
+global.onMessage(JOB_MESSAGES.acquireServer, ({jobId, slot, modelPath, options}, player) => {
+    acquireWhisperServer({slot, modelPath, options})
+        .then(server => global.postMessage(player ?? null, JOB_MESSAGES.serverReady, {jobId, server}))
+        .catch(error => global.postMessage(player ?? null, JOB_MESSAGES.serverReady, {jobId, error: error.message}));
+});
+
+global.onMessage(JOB_MESSAGES.releaseServer, ({slot}) => {
+    releaseWhisperServer(slot);
+});
+
+global.onMessage(JOB_MESSAGES.stopServer, ({slot}) => {
+    stopSlotWhisperServer(slot).catch(error => console.warn(`Failed to stop whisper-server: ${error.message}`));
+});
+
+// Replies go to the player that enqueued the job; the job id keeps them apart should the player
+// not be known and the message reach every window.
+function dispatchJobs() {
+    const limit = getMaxConcurrentJobs();
+    while (queuedJobs.length > 0 && runningJobs.size < limit) {
+        const next = queuedJobs.shift();
+        const slot = findFreeSlot();
+        runningJobs.set(next.jobId, {player: next.player, slot});
+        global.postMessage(next.player ?? null, JOB_MESSAGES.start, {jobId: next.jobId, slot});
+    }
+    queuedJobs.forEach((entry, index) => {
+        global.postMessage(entry.player ?? null, JOB_MESSAGES.queued, {jobId: entry.jobId, position: index + 1});
+    });
+}
+
+function findFreeSlot() {
+    const used = new Set(Array.from(runningJobs.values()).map(job => job.slot));
+    let slot = 0;
+    while (used.has(slot)) {
+        slot += 1;
+    }
+    return slot;
+}
+
+function getMaxConcurrentJobs() {
+    const configured = parseInt(preferences.get("max_concurrent_jobs"), 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : 1;
+}
+
+function stopIdleServers() {
+    stopIdleWhisperServers().catch(error => {
+        console.warn(`Failed to stop idle whisper-servers: ${error.message}`);
+    });
+}
+
+// Nothing can be running when the global entry starts, so servers recorded by earlier sessions are
+// stopped and their job directories removed.
+function cleanupStaleJobs() {
+    removeStaleJobDirectories().catch(error => {
+        console.warn(`Failed to cleanup stale jobs: ${error.message}`);
     });
 }
 
-async function killRecordedWhisperServer() {
-    const pidPath = resolvePidPath();
-    if (!pidPath || !file.exists(pidPath)) {
+async function removeStaleJobDirectories() {
+    const jobsPath = resolveJobsPath();
+    if (!jobsPath || !file.exists(jobsPath)) {
+        return;
+    }
+    const entries = file.list(jobsPath, {includeSubDir: false}) || [];
+    for (const entry of entries) {
+        if (!entry.isDir) {
+            continue;
+        }
+        await killRecordedWhisperServer(`${entry.path}/${SERVER_PID_FILE_NAME}`);
+        await utils.exec("/bin/rm", ["-rf", entry.path]);
+    }
+}
+
+async function killRecordedWhisperServer(pidPath) {
+    if (!file.exists(pidPath)) {
         return;
     }
     const pidContent = file.read(pidPath);
@@ -41,11 +132,11 @@ async function sendSignal(pid, signal) {
     }
 }
 
-function resolvePidPath() {
+function resolveJobsPath() {
     try {
-        return utils.resolvePath(SERVER_PID_FILE);
+        return utils.resolvePath(JOBS_DIRECTORY);
     } catch (error) {
-        console.warn(`Unable to resolve PID file: ${error.message}`);
+        console.warn(`Unable to resolve job directory: ${error.message}`);
         return null;
     }
 }
@@ -0,0 +1,148 @@
+import {redactSecrets} from "./secrets";
+
+const {preferences} = iina;
+
+// Waits longer than this are not worth holding a transcription for; the error is reported instead.
+const MAX_RETRY_WAIT_MS = 120000;
+const BASE_RETRY_DELAY_MS = 2000;
+
+// curl exit codes worth another attempt: DNS and connection failures, timeouts and dropped
+// connections. TLS and usage errors will fail the same way again.
+const RETRYABLE_CURL_CODES = new Set([5, 6, 7, 18, 28, 52, 55, 56]);
+
+export function getRequestTimeouts() {
+    return {
+        connectSeconds: readPositiveInt("openai_connect_timeout", 15),
+        totalSeconds: readPositiveInt("openai_request_timeout", 900),
+    };
+}
+
+export function getMaxRetries() {
+    const value = parseInt(preferences.get("openai_max_retries"), 10);
+    return Number.isFinite(value) && value >= 0 ? value : 3;
+}
+
+// curl options shared by every API request. --max-time bounds the whole transfer, so a stalled
+// upload or a server that never answers cannot block the job forever.
+export function buildTimeoutArgs() {
+    const {connectSeconds, totalSeconds} = getRequestTimeouts();
+    return ["--connect-timeout", `${connectSeconds}`, "--max-time", `${totalSeconds}`];
+}
+
+// Headers written by `curl -D` hold one block per response (e.g. a "100 Continue" before the real
+// one); only the last block counts.
+export function parseResponseHeaders(text) {
+    const blocks = (text || "").replace(/\r\n/g, "\n").split(/\n\s*\n/).filter(block => /^HTTP\//.test(block.trim()));
+    const lines = blocks.length > 0 ? blocks[blocks.length - 1].trim().split("\n") : [];
+    const statusMatch = (lines[0] || "").match(/^HTTP\/[\d.]+\s+(\d{3})/);
+    const headers = {};
+    lines.slice(1).forEach(line => {
+        const separator = line.indexOf(":");
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    return {statusCode: statusMatch ? parseInt(statusMatch[1], 10) : null, headers};
+}
+
+// Retry-After is either a number of seconds or an HTTP date; OpenAI also sends retry-after-ms.
+export function parseRetryAfterMs(headers) {
+    const milliseconds = parseFloat(headers?.["retry-after-ms"]);
+    if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+        return Math.round(milliseconds);
+    }
+    const value = (headers?.["retry-after"] || "").trim();
+    if (!value) {
+        return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with some jitter so parallel jobs do not retry in lockstep. A server asking
+// for a longer pause than MAX_RETRY_WAIT_MS gets null: the caller gives up.
+export function getRetryDelayMs(attempt, retryAfterMs = null) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return retryAfterMs > MAX_RETRY_WAIT_MS ? null : Math.max(retryAfterMs, 500);
+    }
+    const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+    return Math.min(MAX_RETRY_WAIT_MS, Math.round(backoff * (1 + Math.random() * 0.25)));
+}
+
+// Turns a failed API request into an error whose message tells the user what to do about it.
+// `retryable`, `retryAfterMs` and `statusCode` are attached for the retry loop.
+export function createRequestError({profileName, curlStatus = 0, statusCode = null, body = "", headers = {}, apiError = null}) {
+    const error = apiError || extractApiError(body);
+    const detail = error?.message ? `: ${redactSecrets(error.message)}` : "";
+    const timeouts = getRequestTimeouts();
+    let message;
+    let retryable = false;
+    if (curlStatus === 28) {
+        message = `The request timed out (connect ${timeouts.connectSeconds} s, total ${timeouts.totalSeconds} s). Raise the API timeouts in the preferences for long recordings.`;
+        retryable = true;
+    } else if (curlStatus === 6 || curlStatus === 5) {
+        message = "Could not resolve the API host. Check the endpoint URL and your network connection.";
+        retryable = true;
+    } else if (curlStatus === 7) {
+        message = "Could not connect to the API endpoint. Check the endpoint URL and that the server is running.";
+        retryable = true;
+    } else if (curlStatus === 35 || curlStatus === 60) {
+        message = "The TLS connection to the API failed. Check the endpoint URL and its certificate.";
+    } else if (statusCode === 401) {
+        message = `The API key was rejected (HTTP 401)${detail}. Check the key in the preferences.`;
+    } else if (statusCode === 403) {
+        message = `Access was denied (HTTP 403)${detail}. The key may not have access to this model.`;
+    } else if (statusCode === 404) {
+        message = `The endpoint or model was not found (HTTP 404)${detail}. Check the endpoint URL and model name.`;
+    } else if (statusCode === 413) {
+        message = "The upload is too large for this API (HTTP 413).";
+    } else if (statusCode === 429 && error?.code === "insufficient_quota") {
+        message = "The API account has run out of quota (HTTP 429). Check your plan and billing details.";
+    } else if (statusCode === 429) {
+        message = `The API is rate limiting requests (HTTP 429)${detail}.`;
+        retryable = true;
+    } else if (statusCode === 408 || (statusCode >= 500 && statusCode < 600)) {
+        message = `The API server failed (HTTP ${statusCode})${detail}.`;
+        retryable = true;
+    } else if (statusCode >= 400) {
+        message = `The API rejected the request (HTTP ${statusCode})${detail}. Check the model, response format and extra fields.`;
+    } else if (curlStatus !== 0) {
+        message = `The API request failed (curl exit status ${curlStatus}).`;
+        retryable = RETRYABLE_CURL_CODES.has(curlStatus);
+    } else if (error) {
+        // Errors reported inside a successful response, e.g. in the middle of an event stream.
+        message = `The API reported an error${detail}${error.code ? ` (code ${error.code})` : ""}.`;
+        retryable = /server_error|rate_limit/i.test(`${error.code || ""} ${error.type || ""}`);
+    } else {
+        message = "The API request failed for an unknown reason.";
+    }
+    return Object.assign(new Error(profileName ? `${profileName}: ${message}` : message), {
+        retryable,
+        retryAfterMs: parseRetryAfterMs(headers),
+        statusCode,
+    });
+}
+
+function extractApiError(body) {
+    try {
+        const parsed = JSON.parse((body || "").trim());
+        if (parsed?.error) {
+            return typeof parsed.error === "string" ? {message: parsed.error} : parsed.error;
+        }
+        // FastAPI-style servers report {"detail": "..."}.
+        if (typeof parsed?.detail === "string") {
+            return {message: parsed.detail};
+        }
+    } catch (error) {
+        // Not JSON; there is nothing more specific to report than the status code.
+    }
+    return null;
+}
+
+function readPositiveInt(key, fallback) {
+    const value = parseInt(preferences.get(key), 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
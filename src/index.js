@@ -1,40 +1,220 @@
-import {listModels} from "./models";
-import {transcribe, isOpenAIMode} from "./transcribe";
+import {deleteModel, formatBytes, listInstalledModels, listModels, refreshModelCatalogue} from "./models";
+import {
+    transcribe,
+    isOpenAIMode,
+    listArchivedTranscriptsForCurrentMedia,
+    parseUserTimestampMs,
+    getRequestedLanguage,
+    listAudioTracks,
+    cancelTranscriptions,
+    renameSpeakers,
+    rerenderFromRawOutput,
+} from "./transcribe";
+import {getSubtitleFormat} from "./render";
+import {DEFAULT_PROFILE_ID, listOpenAIProfiles} from "./profiles";
+import {redactSecrets} from "./secrets";
 
-const {subtitle, preferences, console} = iina;
+const {core, event, menu, subtitle, preferences, utils, console} = iina;
+
+// Running jobs belong to this window; their processes must not outlive it or keep a queue slot.
+event.on("iina.window-will-close", () => {
+    cancelTranscriptions().catch(error => console.warn(`Failed to stop transcription jobs: ${error.message}`));
+});
 
 subtitle.registerProvider("whisper", {
     search: async () => {
         logCurrentSettings();
+        const archived = (await listArchivedTranscriptsForCurrentMedia()).map(entry => subtitle.item({
+            id: `archive:${entry.fileName}`,
+            name: `${entry.descriptor.model}${entry.descriptor.task === "translate" ? " → English translation" : ` [${entry.language || entry.descriptor.language || "auto"}]`} (${entry.descriptor.partial ? "partial, " : ""}${entry.descriptor.audioStream !== undefined ? `audio stream ${entry.descriptor.audioStream}, ` : ""}archived)`,
+            size: formatArchiveDate(entry.createdAt),
+            sha: entry.descriptor.backend,
+            format: entry.descriptor.format,
+            archivePath: entry.path,
+        }));
         if (isOpenAIMode()) {
-            return [
-                subtitle.item({
-                    id: "openai",
-                    name: "OpenAI Streaming",
-                    size: "cloud",
-                    sha: "n/a",
-                    format: "srt",
-                }),
-            ];
+            return archived.concat(withAudioTrackVariants(listOpenAIProfiles().map(profile => ({
+                id: profile.id === DEFAULT_PROFILE_ID ? "openai" : `openai:${profile.id}`,
+                name: profile.capabilities.streaming ? `${profile.name} Streaming` : profile.name,
+                size: "cloud",
+                sha: profile.model,
+                format: getSubtitleFormat(),
+            }))).map(data => subtitle.item(data)));
         }
-        return listModels().map(model => subtitle.item({
-            id: model.name, name: model.name, size: model.size, sha: model.sha, format: "srt",
-        }));
+        return archived.concat(withAudioTrackVariants((await listModels()).map(model => ({
+            id: model.name, name: model.name, size: model.size, sha: model.sha, format: getSubtitleFormat(),
+            installed: model.installed,
+        }))).map(data => subtitle.item(data)));
     }, description: (item) => ({
-        name: item.data.id, left: item.data.size, right: item.data.sha,
+        name: item.data.name,
+        left: item.data.installed === undefined ? item.data.size : `${item.data.size}, ${item.data.installed ? "installed" : "not downloaded"}`,
+        right: item.data.sha,
     }), download: async (item) => {
-        return Promise.resolve(transcribe(item.data.id));
+        if (item.data.archivePath) {
+            return [item.data.archivePath];
+        }
+        if (!item.data.translate) {
+            preferences.set("last_model", item.data.id);
+        }
+        return Promise.resolve(transcribe(item.data.id, {translate: item.data.translate, audioTrack: item.data.audioTrack}));
     },
 });
 
+menu.addItem(menu.item("Cancel Transcription", async () => {
+    try {
+        if (await cancelTranscriptions() === 0) {
+            core.osd("No transcription is running.");
+        }
+    } catch (error) {
+        console.error(`[Whisperina] Cancelling failed: ${error.message}`);
+        core.osd(`Unable to cancel transcription: ${error.message}`);
+    }
+}, {keyBinding: "Meta+."}));
+
+menu.addItem(menu.item("Manage Models…", () => {
+    manageModels().catch(error => {
+        console.error(`[Whisperina] Model manager failed: ${error.message}`);
+        core.osd(`Unable to manage models: ${error.message}`);
+    });
+}));
+
+menu.addItem(menu.item("Rename Speakers…", () => {
+    renameSpeakers().catch(error => {
+        console.error(`[Whisperina] Renaming speakers failed: ${error.message}`);
+        core.osd(`Unable to rename speakers: ${error.message}`);
+    });
+}));
+
+menu.addItem(menu.item("Re-render Subtitles from Raw Output", () => {
+    rerenderFromRawOutput().catch(error => {
+        console.error(`[Whisperina] Re-rendering failed: ${error.message}`);
+        core.osd(`Unable to re-render subtitles: ${error.message}`);
+    });
+}));
+
+menu.addItem(menu.item("Transcribe from Current Position", () => {
+    const position = core.status.position;
+    transcribeRangeFromMenu({startMs: Math.max(0, Math.floor((position || 0) * 1000)), endMs: null});
+}));
+
+menu.addItem(menu.item("Transcribe Range…", () => {
+    const answer = utils.prompt("Time range to transcribe, e.g. 40:00-45:30 or 1:02:00-1:10:00");
+    if (!answer) {
+        return;
+    }
+    const [startRaw, endRaw] = answer.split("-");
+    const startMs = parseUserTimestampMs(startRaw);
+    const endMs = endRaw && endRaw.trim() ? parseUserTimestampMs(endRaw) : null;
+    if (startMs === null || (endRaw && endRaw.trim() && (endMs === null || endMs <= startMs))) {
+        core.osd(`Invalid time range "${answer}".`);
+        return;
+    }
+    transcribeRangeFromMenu({startMs, endMs});
+}));
+
+// Menu actions bypass the subtitle provider, so they reuse the model (or OpenAI profile) last
+// picked there and load the result themselves.
+async function transcribeRangeFromMenu(range) {
+    const lastModel = preferences.get("last_model") || "";
+    if (isOpenAIMode()) {
+        return runRangeTranscription(lastModel.startsWith("openai") ? lastModel : "openai", range);
+    }
+    const model = (lastModel.startsWith("openai") ? "" : lastModel) || (await listModels())[0]?.name;
+    if (!model) {
+        core.osd("Pick a model from the subtitle search once before transcribing a range.");
+        return;
+    }
+    return runRangeTranscription(model, range);
+}
+
+async function runRangeTranscription(model, range) {
+    try {
+        const [subtitlePath] = await transcribe(model, {range});
+        core.subtitle.loadTrack(subtitlePath);
+    } catch (error) {
+        console.error(`[Whisperina] Ranged transcription failed: ${error.message}`);
+        core.osd(`Transcription failed: ${error.message}`);
+    }
+}
+
+// Media with several audio tracks (e.g. original and dub) get the backend items once per track, the
+// track currently selected in IINA first.
+function withAudioTrackVariants(items) {
+    const tracks = listAudioTracks();
+    if (tracks.length < 2) {
+        return withTranslationVariants(items, getRequestedLanguage());
+    }
+    const ordered = tracks.filter(track => track.selected).concat(tracks.filter(track => !track.selected));
+    return ordered.flatMap(track => withTranslationVariants(items, getRequestedLanguage(track)).map(data => ({
+        ...data,
+        name: `${data.name} — ${formatAudioTrack(track)}`,
+        audioTrack: track.id,
+    })));
+}
+
+function formatAudioTrack(track) {
+    const details = [track.lang, track.title].filter(Boolean).join(", ");
+    return `Audio #${track.id}${details ? ` (${details})` : ""}`;
+}
+
+// Lists the installed models with their disk usage and deletes the ones the user names.
+async function manageModels() {
+    const installed = await listInstalledModels();
+    if (installed.length === 0) {
+        core.osd("No models are installed.");
+        return;
+    }
+    const lastModel = preferences.get("last_model");
+    const totalBytes = installed.reduce((total, model) => total + model.bytes, 0);
+    const lines = installed.map(model => `${model.name}: ${formatBytes(model.bytes)}${model.name === lastModel ? " (last used)" : ""}`);
+    const answer = utils.prompt(`Installed models (${formatBytes(totalBytes)} in total):\n${lines.join("\n")}\n\nEnter the models to delete, separated by commas, or leave empty to keep all.`);
+    if (!answer || !answer.trim()) {
+        return;
+    }
+    const names = answer.split(",").map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !installed.some(model => model.name === name));
+    if (unknown.length > 0) {
+        core.osd(`Not installed: ${unknown.join(", ")}`);
+        return;
+    }
+    const freedBytes = installed.filter(model => names.includes(model.name)).reduce((total, model) => total + model.bytes, 0);
+    if (!utils.ask(`Delete ${names.join(", ")} and free ${formatBytes(freedBytes)}?`)) {
+        return;
+    }
+    names.forEach(deleteModel);
+    await refreshModelCatalogue();
+    core.osd(`Deleted ${names.length} model(s), freed ${formatBytes(freedBytes)}.`);
+}
+
+// Every backend item is followed by a variant that translates the speech into English, except for
+// the English-only ".en" models which cannot translate. Transcription items show the requested language.
+function withTranslationVariants(items, language) {
+    return items.flatMap(data => {
+        const transcription = {...data, name: `${data.name} [${language}]`};
+        return /\.en\b/.test(data.id) ? [transcription] : [transcription, {
+            ...data,
+            name: `${data.name} → English translation`,
+            translate: true,
+        }];
+    });
+}
+
+function formatArchiveDate(isoString) {
+    const date = new Date(isoString);
+    return Number.isNaN(date.getTime()) ? "archived" : date.toLocaleString();
+}
+
 function logCurrentSettings() {
     const mode = (preferences.get("transcriber_mode") || "whisper_server").toString();
     if (mode === "openai") {
-        const model = preferences.get("openai_model") || "gpt-4o-transcribe-diarize";
-        const responseFormat = preferences.get("openai_response_format") || "json";
-        const chunking = preferences.get("openai_chunking_strategy") || "auto";
-        const endpoint = preferences.get("openai_base_url") || "https://api.openai.com/v1/audio/transcriptions";
-        console.log(`[Whisperina] Provider search -> mode=openai, model=${model}, format=${responseFormat}, chunking=${chunking}, endpoint=${endpoint}`);
+        listOpenAIProfiles().forEach(profile => {
+            const capabilities = Object.keys(profile.capabilities).filter(key => profile.capabilities[key]).join("+") || "none";
+            console.log(`[Whisperina] Provider search -> mode=openai, profile=${profile.name}, model=${profile.model}, format=${profile.responseFormat || "(auto)"}, capabilities=${capabilities}, endpoint=${redactSecrets(profile.endpoint)}`);
+        });
+    } else if (mode === "whisper_cli") {
+        const cliPath = preferences.get("wcli_path") || "(unset)";
+        const options = preferences.get("wcli_options") || "(none)";
+        console.log(`[Whisperina] Provider search -> mode=whisper_cli, path=${cliPath}, options=${options}`);
     } else {
         const serverPath = preferences.get("wserver_path") || "(unset)";
         const host = preferences.get("wserver_host") || "127.0.0.1";
@@ -0,0 +1,135 @@
+const {global, console, utils} = iina;
+
+// Transcriptions from every player window are scheduled by the global entry: a player asks for a
+// slot with "enqueue" and starts working once the global entry answers with "start". Slots are
+// numbered so that concurrently running jobs can derive distinct resources (e.g. server ports).
+// The whisper-server of a slot is owned by the global entry too and stays warm between jobs.
+export const JOB_MESSAGES = {
+    enqueue: "whisperina.job-enqueue",
+    queued: "whisperina.job-queued",
+    start: "whisperina.job-start",
+    finished: "whisperina.job-finished",
+    acquireServer: "whisperina.server-acquire",
+    serverReady: "whisperina.server-ready",
+    releaseServer: "whisperina.server-release",
+    stopServer: "whisperina.server-stop",
+};
+
+// Every job keeps its intermediate files in its own directory below this one.
+export const JOBS_DIRECTORY = "@tmp/jobs";
+
+const pendingJobs = new Map();
+const activeJobs = new Map();
+const pendingServers = new Map();
+let listening = false;
+
+// Resolves with the job ({id, dir, slot}) once the global queue grants it a slot. `onQueued` is
+// called with the number of jobs ahead while it has to wait.
+export async function startJob(onQueued = null) {
+    listenForQueueMessages();
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const dir = `${utils.resolvePath(JOBS_DIRECTORY)}/${id}`;
+    // Private to the user: request headers carrying the API key are written here.
+    const {status, stderr} = await utils.exec("/bin/mkdir", ["-p", "-m", "700", dir]);
+    if (status !== 0) {
+        throw new Error(`Unable to create job directory ${dir}: ${stderr}`);
+    }
+    const slot = await new Promise((resolve, reject) => {
+        pendingJobs.set(id, {resolve, reject, onQueued});
+        global.postMessage(JOB_MESSAGES.enqueue, {jobId: id});
+    });
+    const job = {id, dir, slot};
+    activeJobs.set(id, job);
+    console.log(`[Whisperina] Job ${id} started in slot ${slot}.`);
+    return job;
+}
+
+// Also used for jobs that are still waiting, so a closed window does not hold a place in the queue.
+export function finishJob(jobOrId) {
+    const id = typeof jobOrId === "string" ? jobOrId : jobOrId?.id;
+    if (!id) {
+        return;
+    }
+    pendingJobs.delete(id);
+    activeJobs.delete(id);
+    global.postMessage(JOB_MESSAGES.finished, {jobId: id});
+}
+
+// Rejects every job of this window that is still waiting for a slot; returns how many there were.
+export function cancelPendingJobs(createError) {
+    const ids = listPendingJobIds();
+    ids.forEach(id => {
+        const pending = pendingJobs.get(id);
+        finishJob(id);
+        pending.reject(createError());
+    });
+    return ids.length;
+}
+
+// Resolves with the server info ({pid, baseUrl, logPath, ...}) of a running whisper-server for the
+// job's slot that was launched with the given model and options.
+export function acquireWhisperServer(job, modelPath, options) {
+    listenForQueueMessages();
+    return new Promise((resolve, reject) => {
+        pendingServers.set(job.id, {resolve, reject});
+        global.postMessage(JOB_MESSAGES.acquireServer, {jobId: job.id, slot: job.slot, modelPath, options});
+    });
+}
+
+export function releaseWhisperServer(job) {
+    global.postMessage(JOB_MESSAGES.releaseServer, {jobId: job.id, slot: job.slot});
+}
+
+// A busy server cannot be interrupted, so a cancelled job has the global entry stop the server of its
+// slot; the next job starts a new one. A request for the server still waiting is rejected right away.
+export function stopWhisperServerOfJob(job, createError) {
+    const pending = pendingServers.get(job.id);
+    if (pending) {
+        pendingServers.delete(job.id);
+        pending.reject(createError());
+    }
+    global.postMessage(JOB_MESSAGES.stopServer, {jobId: job.id, slot: job.slot});
+}
+
+export function listActiveJobs() {
+    return Array.from(activeJobs.values());
+}
+
+function listPendingJobIds() {
+    return Array.from(pendingJobs.keys());
+}
+
+function listenForQueueMessages() {
+    if (listening) {
+        return;
+    }
+    listening = true;
+    global.onMessage(JOB_MESSAGES.queued, ({jobId, position}) => {
+        const pending = pendingJobs.get(jobId);
+        if (pending && pending.onQueued) {
+            pending.onQueued(position);
+        }
+    });
+    global.onMessage(JOB_MESSAGES.start, ({jobId, slot}) => {
+        const pending = pendingJobs.get(jobId);
+        if (!pending) {
+            // The job was abandoned while it waited; hand the slot back right away.
+            global.postMessage(JOB_MESSAGES.finished, {jobId});
+            return;
+        }
+        pendingJobs.delete(jobId);
+        pending.resolve(slot);
+    });
+    global.onMessage(JOB_MESSAGES.serverReady, ({jobId, server, error}) => {
+        const pending = pendingServers.get(jobId);
+        if (!pending) {
+            return;
+        }
+        pendingServers.delete(jobId);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(server);
+        }
+    });
+}
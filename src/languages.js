@@ -0,0 +1,65 @@
+// Whisper speaks ISO 639-1 codes, media containers usually tag tracks with ISO 639-2 codes and the
+// OpenAI verbose_json response reports English language names; everything is normalized to 639-1.
+const LANGUAGES = [
+    ["en", "eng", "english"],
+    ["zh", "zho", "chinese", "chi"],
+    ["de", "deu", "german", "ger"],
+    ["es", "spa", "spanish"],
+    ["ru", "rus", "russian"],
+    ["ko", "kor", "korean"],
+    ["fr", "fra", "french", "fre"],
+    ["ja", "jpn", "japanese"],
+    ["pt", "por", "portuguese"],
+    ["tr", "tur", "turkish"],
+    ["pl", "pol", "polish"],
+    ["ca", "cat", "catalan"],
+    ["nl", "nld", "dutch", "dut"],
+    ["ar", "ara", "arabic"],
+    ["sv", "swe", "swedish"],
+    ["it", "ita", "italian"],
+    ["id", "ind", "indonesian"],
+    ["hi", "hin", "hindi"],
+    ["fi", "fin", "finnish"],
+    ["vi", "vie", "vietnamese"],
+    ["he", "heb", "hebrew"],
+    ["uk", "ukr", "ukrainian"],
+    ["el", "ell", "greek", "gre"],
+    ["ms", "msa", "malay", "may"],
+    ["cs", "ces", "czech", "cze"],
+    ["ro", "ron", "romanian", "rum"],
+    ["da", "dan", "danish"],
+    ["hu", "hun", "hungarian"],
+    ["ta", "tam", "tamil"],
+    ["no", "nor", "norwegian", "nob", "nno"],
+    ["th", "tha", "thai"],
+    ["ur", "urd", "urdu"],
+    ["hr", "hrv", "croatian"],
+    ["bg", "bul", "bulgarian"],
+    ["lt", "lit", "lithuanian"],
+    ["la", "lat", "latin"],
+    ["cy", "cym", "welsh", "wel"],
+    ["sk", "slk", "slovak", "slo"],
+    ["fa", "fas", "persian", "per"],
+    ["lv", "lav", "latvian"],
+    ["bn", "ben", "bengali"],
+    ["sr", "srp", "serbian"],
+    ["sl", "slv", "slovenian"],
+    ["et", "est", "estonian"],
+    ["tl", "tgl", "tagalog"],
+    ["yue", "cantonese"],
+];
+
+const LOOKUP = new Map();
+LANGUAGES.forEach(([code, ...aliases]) => {
+    LOOKUP.set(code, code);
+    aliases.forEach(alias => LOOKUP.set(alias, code));
+});
+
+// Returns the ISO 639-1 code (or "yue"), or null for unknown, undetermined and empty values.
+export function normalizeLanguage(value) {
+    const key = `${value || ""}`.trim().toLowerCase().replace(/_/g, "-").split("-")[0];
+    if (!key || key === "und" || key === "auto") {
+        return null;
+    }
+    return LOOKUP.get(key) || (/^[a-z]{2}$/.test(key) ? key : null);
+}
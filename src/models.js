@@ -1,4 +1,12 @@
-const {preferences} = iina;
+const {console, file, preferences, utils} = iina;
+
+// Hashing a multi-gigabyte model takes a while, so a successful check is remembered together with
+// the file's size and modification time and only repeated when either changes.
+const CHECKSUM_CACHE_FILE = "@data/model-checksums.json";
+
+// The preferences page has no access to the data directory, so the merged model list is published
+// to this preference for it to render the visibility toggles from.
+const CATALOGUE_PREFERENCE = "model_catalogue";
 
 const MODELS = [{
     name: 'tiny', size: '75 MiB', sha: 'bd577a113a864445d4c299885e0cb97d4ba92b5f'
@@ -34,6 +42,178 @@ const MODELS = [{
     name: 'large-v3-turbo-q5_0', size: '547 MiB', sha: 'e050f7970618a659205450ad97eb95a18d69c9ee'
 }]
 
-export const listModels = function () {
-    return MODELS.filter(model => preferences.get('show_' + model.name.replaceAll(/[-.]/g, '_')))
-}
\ No newline at end of file
+// Further variants known to bin/download-ggml-model.sh, with the SHA-1s published in the whisper.cpp
+// models README.
+const QUANTIZED_MODELS = [{
+    name: 'tiny-q5_1', size: '31 MiB', sha: '2827a03e495b1ed3048ef28a6a4620537db4ee51'
+}, {
+    name: 'tiny.en-q5_1', size: '31 MiB', sha: '3fb92ec865cbbc769f08137f22470d6b66e071b6'
+}, {
+    name: 'tiny-q8_0', size: '42 MiB', sha: '19e8118f6652a650569f5a949d962154e01571d9'
+}, {
+    name: 'base-q5_1', size: '57 MiB', sha: 'a3733eda680ef76256db5fc5dd9de8629e62c5e7'
+}, {
+    name: 'base.en-q5_1', size: '57 MiB', sha: 'd26d7ce5a1b6e57bea5d0431b9c20ae49423c94a'
+}, {
+    name: 'base-q8_0', size: '78 MiB', sha: '7bb89bb49ed6955013b166f1b6a6c04584a20fbe'
+}, {
+    name: 'small-q5_1', size: '181 MiB', sha: '6fe57ddcfdd1c6b07cdcc73aaf620810ce5fc771'
+}, {
+    name: 'small.en-q5_1', size: '181 MiB', sha: '20f54878d608f94e4a8ee3ae56016571d47cba34'
+}, {
+    name: 'small-q8_0', size: '252 MiB', sha: 'bcad8a2083f4e53d648d586b7dbc0cd673d8afad'
+}, {
+    name: 'medium-q5_0', size: '514 MiB', sha: '7718d4c1ec62ca96998f058114db418236937276'
+}, {
+    name: 'medium.en-q5_0', size: '514 MiB', sha: 'bb3b5281bddd61605d6fc76bc5b92d8f20284c3b'
+}, {
+    name: 'medium-q8_0', size: '785 MiB', sha: 'e66645948aff4bebbec71b3485c576f3d63af5d6'
+}, {
+    name: 'large-v2-q8_0', size: '1.5 GiB', sha: 'da97d6ca8f8ffbeeb5fd147f79010eeea194ba38'
+}, {
+    name: 'large-v3-turbo-q8_0', size: '834 MiB', sha: '01bf15bedffe9f39d65c1b6ff9b687ea91f59e0e'
+}]
+
+const CATALOGUE = MODELS.concat(QUANTIZED_MODELS)
+
+// The catalogue merged with any other ggml-*.bin found in the data directory (e.g. fine-tuned
+// models copied there by hand), which are listed with their real file size.
+export async function listAvailableModels() {
+    const installed = await listInstalledModels();
+    const known = CATALOGUE.map(model => ({...model, installed: installed.some(entry => entry.name === model.name)}));
+    const custom = installed
+        .filter(entry => !CATALOGUE.some(model => model.name === entry.name))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(entry => ({name: entry.name, size: formatBytes(entry.bytes), sha: 'custom', installed: true, custom: true}));
+    return known.concat(custom).map(model => ({...model, visibilityKey: getVisibilityKey(model.name)}));
+}
+
+export async function listModels() {
+    const models = await listAvailableModels();
+    publishModelCatalogue(models);
+    return models.filter(isModelVisible);
+}
+
+export async function refreshModelCatalogue() {
+    publishModelCatalogue(await listAvailableModels());
+}
+
+// Models without an explicit choice are shown once they are installed, which every custom model is.
+// The preferences page applies the same rule to the published catalogue.
+function isModelVisible(model) {
+    const value = preferences.get(model.visibilityKey);
+    if (value === undefined || value === null || value === '') {
+        return model.installed;
+    }
+    return Boolean(value);
+}
+
+function getVisibilityKey(name) {
+    return 'show_' + name.replaceAll(/[^A-Za-z0-9]/g, '_');
+}
+
+function publishModelCatalogue(models) {
+    const catalogue = models.map(({name, size, installed, custom, visibilityKey}) => ({
+        name, size, installed, custom: Boolean(custom), key: visibilityKey,
+    }));
+    preferences.set(CATALOGUE_PREFERENCE, JSON.stringify(catalogue));
+}
+
+export function findModel(name) {
+    return CATALOGUE.find(model => model.name === name) || null;
+}
+
+export function getModelPath(name) {
+    return `${utils.resolvePath("@data")}/ggml-${name}.bin`;
+}
+
+export function isModelInstalled(name) {
+    return file.exists(getModelPath(name));
+}
+
+// Returns {verified: true} when the file matches the catalogue, {verified: false, expected, actual}
+// on a mismatch and {verified: null} for models without a recorded hash.
+export async function verifyModel(name) {
+    const model = findModel(name);
+    if (!model || !model.sha) {
+        return {verified: null};
+    }
+    const path = getModelPath(name);
+    const stamp = await statModelFile(path);
+    const cache = readChecksumCache();
+    if (stamp && cache[name] && cache[name].stamp === stamp && cache[name].sha === model.sha) {
+        return {verified: true};
+    }
+    console.log(`[Whisperina] Verifying checksum of ${path}.`);
+    const {status, stdout, stderr} = await utils.exec("/usr/bin/shasum", ["-a", "1", path]);
+    if (status !== 0) {
+        throw new Error(`Unable to compute the checksum of ${path}: ${stderr}`);
+    }
+    const actual = (stdout || "").trim().split(/\s+/)[0];
+    if (actual !== model.sha) {
+        return {verified: false, expected: model.sha, actual};
+    }
+    cache[name] = {sha: model.sha, stamp};
+    writeChecksumCache(cache);
+    return {verified: true};
+}
+
+// Every ggml-*.bin in the data directory with its size on disk in bytes, largest first.
+export async function listInstalledModels() {
+    const dataPath = utils.resolvePath("@data");
+    const {status, stdout} = await utils.exec("/bin/sh", ["-c", 'for f in "$0"/ggml-*.bin; do [ -f "$f" ] && /usr/bin/stat -f "%z %N" "$f"; done', dataPath]);
+    if (status !== 0) {
+        return [];
+    }
+    return (stdout || "").split("\n")
+        .map(line => /^(\d+) (.*\/ggml-(.+)\.bin)$/.exec(line.trim()))
+        .filter(Boolean)
+        .map(([, bytes, path, name]) => ({name, path, bytes: parseInt(bytes, 10)}))
+        .sort((a, b) => b.bytes - a.bytes);
+}
+
+export function deleteModel(name) {
+    const path = getModelPath(name);
+    if (file.exists(path)) {
+        file.delete(path);
+    }
+    const cache = readChecksumCache();
+    if (cache[name]) {
+        delete cache[name];
+        writeChecksumCache(cache);
+    }
+}
+
+export function formatBytes(bytes) {
+    const units = ["B", "KiB", "MiB", "GiB"];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+async function statModelFile(path) {
+    const {status, stdout} = await utils.exec("/usr/bin/stat", ["-f", "%z-%m", path]);
+    return status === 0 ? (stdout || "").trim() : null;
+}
+
+function readChecksumCache() {
+    try {
+        const path = utils.resolvePath(CHECKSUM_CACHE_FILE);
+        return file.exists(path) ? JSON.parse(file.read(path) || "{}") || {} : {};
+    } catch (error) {
+        console.warn(`Unable to read model checksum cache: ${error.message}`);
+        return {};
+    }
+}
+
+function writeChecksumCache(cache) {
+    try {
+        file.write(utils.resolvePath(CHECKSUM_CACHE_FILE), JSON.stringify(cache, null, 2));
+    } catch (error) {
+        console.warn(`Unable to write model checksum cache: ${error.message}`);
+    }
+}
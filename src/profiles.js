@@ -0,0 +1,111 @@
+const {console, preferences} = iina;
+
+export const DEFAULT_PROFILE_ID = "default";
+const DEFAULT_ENDPOINT = "https://api.openai.com/v1/audio/transcriptions";
+
+// OpenAI-compatible endpoints (OpenAI itself, Groq, a self-hosted faster-whisper server...) are
+// configured as named profiles in the `openai_profiles` preference, a JSON array such as
+//   [{"name": "Groq", "endpoint": "https://api.groq.com/openai/v1/audio/transcriptions",
+//     "apiKeyEnv": "GROQ_API_KEY", "model": "whisper-large-v3", "capabilities": {"wordTimestamps": true}}]
+// The key is given inline (`apiKey`), by environment variable (`apiKeyEnv`) or by file (`apiKeyFile`).
+// The single-endpoint settings from older versions are always available as the default profile.
+export function listOpenAIProfiles() {
+    return [getDefaultProfile()].concat(readConfiguredProfiles());
+}
+
+export function getOpenAIProfile(id) {
+    const profiles = listOpenAIProfiles();
+    return profiles.find(profile => profile.id === (id || DEFAULT_PROFILE_ID)) || profiles[0];
+}
+
+function getDefaultProfile() {
+    const model = (preferences.get("openai_model") || "gpt-4o-transcribe-diarize").trim();
+    const streamPreference = preferences.get("openai_stream");
+    return normalizeProfile({
+        id: DEFAULT_PROFILE_ID,
+        name: "OpenAI",
+        endpoint: preferences.get("openai_base_url"),
+        apiKey: preferences.get("openai_api_key"),
+        apiKeyEnv: preferences.get("openai_api_key_env"),
+        apiKeyFile: preferences.get("openai_api_key_file"),
+        model,
+        responseFormat: preferences.get("openai_response_format"),
+        chunkingStrategy: preferences.get("openai_chunking_strategy"),
+        translationModel: preferences.get("openai_translation_model"),
+        capabilities: {
+            diarization: /diarize/i.test(model),
+            streaming: streamPreference === undefined || streamPreference === null ? true : Boolean(streamPreference),
+            // Only whisper-1 accepts timestamp_granularities.
+            wordTimestamps: /^whisper-1$/i.test(model),
+        },
+    });
+}
+
+function readConfiguredProfiles() {
+    const raw = preferences.get("openai_profiles");
+    if (!raw) {
+        return [];
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        console.warn(`[Whisperina] Ignoring invalid OpenAI profiles: ${error.message}`);
+        return [];
+    }
+    if (!Array.isArray(parsed)) {
+        console.warn("[Whisperina] Ignoring OpenAI profiles: expected a JSON array.");
+        return [];
+    }
+    const seen = new Set([DEFAULT_PROFILE_ID]);
+    return parsed
+        .filter(entry => entry && typeof entry === "object" && entry.name)
+        .map(entry => {
+            let id = `${entry.id || entry.name}`.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+            while (seen.has(id)) {
+                id = `${id}-2`;
+            }
+            seen.add(id);
+            return normalizeProfile({...entry, id});
+        });
+}
+
+// Extra form fields accept either an object ({"temperature": "0"}) or "key=value" lines.
+export function normalizeProfile(entry) {
+    const capabilities = entry.capabilities || {};
+    return {
+        id: entry.id,
+        name: `${entry.name}`.trim(),
+        endpoint: `${entry.endpoint || DEFAULT_ENDPOINT}`.trim(),
+        translationEndpoint: `${entry.translationEndpoint || ""}`.trim(),
+        apiKey: `${entry.apiKey || ""}`.trim(),
+        apiKeyEnv: `${entry.apiKeyEnv || ""}`.trim(),
+        apiKeyFile: `${entry.apiKeyFile || ""}`.trim(),
+        model: `${entry.model || "whisper-1"}`.trim(),
+        responseFormat: `${entry.responseFormat || ""}`.trim(),
+        chunkingStrategy: `${entry.chunkingStrategy || ""}`.trim(),
+        translationModel: `${entry.translationModel || "whisper-1"}`.trim(),
+        extraFields: normalizeExtraFields(entry.extraFields),
+        capabilities: {
+            diarization: Boolean(capabilities.diarization),
+            streaming: Boolean(capabilities.streaming),
+            wordTimestamps: Boolean(capabilities.wordTimestamps),
+        },
+    };
+}
+
+function normalizeExtraFields(value) {
+    if (!value) {
+        return [];
+    }
+    if (typeof value === "string") {
+        return value.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && line.includes("="))
+            .map(line => [line.slice(0, line.indexOf("=")).trim(), line.slice(line.indexOf("=") + 1).trim()]);
+    }
+    if (typeof value === "object") {
+        return Object.keys(value).map(key => [key, `${value[key]}`]);
+    }
+    return [];
+}
@@ -0,0 +1,97 @@
+// Progress of the long-running stages of a job (audio extraction, transcription, uploads), shown in
+// the OSD as percent done and an estimate of the time left.
+
+const {core} = iina;
+
+const OSD_INTERVAL_MS = 2000;
+// Estimates from the first seconds of a stage are mostly noise.
+const MIN_ETA_ELAPSED_MS = 5000;
+const MIN_ETA_FRACTION = 0.02;
+
+// `totalMs` is the length of the audio the stage works through; without it only the elapsed time is
+// shown. The message is repeated every few seconds until stop() so the estimate stays current even
+// while nothing is reported, e.g. during a single upload.
+export function createProgress(label, totalMs = null) {
+    const startedAt = Date.now();
+    let fraction = null;
+    let detail = "";
+    let pausedUntil = 0;
+    let timer = null;
+
+    function render() {
+        const elapsedMs = Date.now() - startedAt;
+        const task = detail ? `${label} ${detail}` : label;
+        if (fraction === null) {
+            return elapsedMs < 1000 ? `${task}...` : `${task}... (${formatDuration(elapsedMs)} elapsed)`;
+        }
+        const percent = `${Math.floor(fraction * 100)}%`;
+        if (elapsedMs < MIN_ETA_ELAPSED_MS || fraction < MIN_ETA_FRACTION || fraction >= 1) {
+            return `${task}... ${percent}`;
+        }
+        const remainingMs = elapsedMs * (1 - fraction) / fraction;
+        return `${task}... ${percent} (${formatRemaining(remainingMs)})`;
+    }
+
+    function tick() {
+        if (Date.now() >= pausedUntil) {
+            core.osd(render());
+        }
+        timer = setTimeout(tick, OSD_INTERVAL_MS);
+    }
+
+    function setFraction(value) {
+        if (Number.isFinite(value)) {
+            fraction = Math.max(fraction || 0, Math.min(1, Math.max(0, value)));
+        }
+    }
+
+    tick();
+
+    return {
+        // Audio time processed so far, in ms from the start of the stage's audio. Progress never goes
+        // backwards, so several sources (progress lines and decoded segments) can report to it.
+        update(doneMs) {
+            if (totalMs > 0 && Number.isFinite(doneMs)) {
+                setFraction(doneMs / totalMs);
+            }
+        },
+        setFraction,
+        // E.g. "chunk 2/5"; shown after the label.
+        setDetail(text) {
+            detail = text || "";
+        },
+        // Leaves the OSD to another message for a while, e.g. a retry notice.
+        pause(ms) {
+            pausedUntil = Date.now() + ms;
+        },
+        stop() {
+            clearTimeout(timer);
+        },
+    };
+}
+
+// `ffmpeg -progress pipe:1` writes blocks of key=value lines; out_time_us (out_time_ms in older
+// versions, also in microseconds despite its name) is the position reached in the output.
+export function parseFfmpegProgressTimeMs(text) {
+    const matches = Array.from(`${text || ""}`.matchAll(/^out_time_(?:us|ms)=(\d+)\s*$/gm));
+    return matches.length > 0 ? Math.floor(parseInt(matches[matches.length - 1][1], 10) / 1000) : null;
+}
+
+function formatRemaining(ms) {
+    if (ms < 60000) {
+        return "less than a minute left";
+    }
+    return `about ${formatDuration(ms)} left`;
+}
+
+function formatDuration(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    if (ms < 60000) {
+        return `${Math.max(0, Math.round(ms / 1000))} s`;
+    }
+    if (totalMinutes < 60) {
+        return `${totalMinutes} min`;
+    }
+    const minutes = totalMinutes % 60;
+    return `${Math.floor(totalMinutes / 60)} h${minutes > 0 ? ` ${minutes} min` : ""}`;
+}
@@ -0,0 +1,286 @@
+// Post-processing that turns backend segments into cues people can read: bounded line length and
+// line count, bounded cue duration and reading speed, and a small gap between consecutive cues.
+
+const {preferences} = iina;
+
+export const DEFAULT_READABILITY_OPTIONS = {
+    enabled: true,
+    maxLineLength: 42,
+    maxLines: 2,
+    maxCueDurationMs: 7000,
+    minCueDurationMs: 1000,
+    maxCharsPerSecond: 20,
+    minGapMs: 80,
+};
+
+// The shortest time a cue is on screen when the next one follows right away.
+const MIN_VISIBLE_MS = 100;
+const SENTENCE_END_REGEX = /[.!?…。！？]["')\]]*$/;
+const CLAUSE_END_REGEX = /[,;:、，]$/;
+// Punctuation that must not begin a line, which matters where lines break between characters.
+const NO_LINE_START_REGEX = /^[,.;:!?…)\]」』）】、。，．！？：；]/;
+
+export function getReadabilityOptions() {
+    const read = (key, fallback) => {
+        const value = parseFloat(preferences.get(key));
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+    const enabled = preferences.get("readability_enabled");
+    return {
+        enabled: enabled === undefined || enabled === null ? true : Boolean(enabled),
+        maxLineLength: Math.round(read("readability_max_line_length", DEFAULT_READABILITY_OPTIONS.maxLineLength)),
+        maxLines: Math.round(read("readability_max_lines", DEFAULT_READABILITY_OPTIONS.maxLines)),
+        maxCueDurationMs: Math.round(read("readability_max_cue_duration", DEFAULT_READABILITY_OPTIONS.maxCueDurationMs / 1000) * 1000),
+        minCueDurationMs: DEFAULT_READABILITY_OPTIONS.minCueDurationMs,
+        maxCharsPerSecond: read("readability_max_cps", DEFAULT_READABILITY_OPTIONS.maxCharsPerSecond),
+        minGapMs: Math.round(read("readability_min_gap_ms", DEFAULT_READABILITY_OPTIONS.minGapMs)),
+    };
+}
+
+// Segments are {startMs, endMs, textLines, speaker?, words?, labelWidth?}, sorted by start; the
+// result has the same shape. Words ({text, startMs, endMs}) are kept on a cue only when they line up
+// with its text. `labelWidth` is the width of the speaker label the renderer puts before the first
+// line of each cue, which that line leaves room for.
+export function improveReadability(segments, options = DEFAULT_READABILITY_OPTIONS) {
+    const settings = {...DEFAULT_READABILITY_OPTIONS, ...options};
+    if (!settings.enabled || !segments || segments.length === 0) {
+        return segments || [];
+    }
+    const cues = segments.flatMap(segment => splitSegment(segment, settings));
+    cues.sort((a, b) => a.startMs - b.startMs);
+    return adjustTimings(cues, settings);
+}
+
+// A cue holds at most maxLines lines of maxLineLength characters and lasts at most maxCueDurationMs.
+// Longer segments are split at sentence ends first, then after clauses, then between words or, in text
+// without spaces, between characters. With word timings each cue starts and ends with its words;
+// otherwise the segment's time is shared out by character count.
+function splitSegment(segment, settings) {
+    const text = (segment.textLines || []).join(" ").replace(/\s+/g, " ").trim();
+    if (!text) {
+        return [];
+    }
+    const durationMs = Math.max(0, segment.endMs - segment.startMs);
+    const labelWidth = segment.labelWidth || 0;
+    let pieces = splitToFit(text, settings, labelWidth);
+    const neededPieces = Math.ceil(durationMs / settings.maxCueDurationMs);
+    while (pieces.length < neededPieces) {
+        const longest = pieces.reduce((best, piece, index) => piece.length > pieces[best].length ? index : best, 0);
+        const halves = splitOnce(pieces[longest], Math.ceil(pieces[longest].length / 2), settings.maxLineLength);
+        if (halves.length < 2) {
+            break;
+        }
+        pieces.splice(longest, 1, ...halves);
+    }
+    const wordsByPiece = assignWordsToPieces(alignWords(segment.words, text), pieces, text);
+    if (wordsByPiece) {
+        return pieces.map((piece, index) => {
+            const pieceWords = wordsByPiece[index];
+            return {
+                ...segment,
+                startMs: index === 0 ? Math.min(segment.startMs, pieceWords[0].startMs) : pieceWords[0].startMs,
+                endMs: index === pieces.length - 1 ? Math.max(segment.endMs, pieceWords[pieceWords.length - 1].endMs) : pieceWords[pieceWords.length - 1].endMs,
+                textLines: wrapLines(piece, settings.maxLineLength, settings.maxLines, labelWidth),
+                words: pieceWords,
+            };
+        });
+    }
+    const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    let cursorMs = segment.startMs;
+    return pieces.map((piece, index) => {
+        const startMs = Math.round(cursorMs);
+        cursorMs += durationMs * (piece.length / totalChars);
+        const endMs = index === pieces.length - 1 ? segment.endMs : Math.round(cursorMs);
+        return {...segment, startMs, endMs, textLines: wrapLines(piece, settings.maxLineLength, settings.maxLines, labelWidth), words: null};
+    });
+}
+
+// Each word goes to the piece it starts in. A piece without a word of its own was split from the middle
+// of one (e.g. a Japanese sentence the backend reported as a single word); the caller then falls back
+// to timing by character count.
+function assignWordsToPieces(words, pieces, text) {
+    if (!words) {
+        return null;
+    }
+    const pieceStarts = [];
+    let cursor = 0;
+    pieces.forEach(piece => {
+        cursor = text.indexOf(piece, cursor);
+        pieceStarts.push(cursor);
+        cursor += piece.length;
+    });
+    const result = pieces.map(() => []);
+    let wordStart = 0;
+    words.forEach(word => {
+        let index = pieceStarts.length - 1;
+        while (index > 0 && pieceStarts[index] > wordStart) {
+            index -= 1;
+        }
+        result[index].push(word);
+        wordStart += word.text.length + 1;
+    });
+    return result.every(pieceWords => pieceWords.length > 0) ? result : null;
+}
+
+// Backends report words without the punctuation of the text ("Hello" for "Hello,"), so words line up
+// when there is one per space-separated token; they then take the token's text.
+export function alignWords(words, text) {
+    if (!Array.isArray(words) || words.length === 0) {
+        return null;
+    }
+    const tokens = text.split(" ").filter(Boolean);
+    if (tokens.length !== words.length) {
+        return null;
+    }
+    return words.map((word, index) => ({...word, text: tokens[index]}));
+}
+
+// Halving rather than filling cue after cue keeps the pieces of a long segment of similar length,
+// so no one-word cue is left over at the end.
+function splitToFit(text, settings, labelWidth = 0) {
+    if (wrapLines(text, settings.maxLineLength, settings.maxLines, labelWidth).length <= settings.maxLines) {
+        return [text];
+    }
+    const limit = Math.min(settings.maxLineLength * settings.maxLines - labelWidth, Math.ceil(text.length * 0.6));
+    const halves = splitOnce(text, limit, settings.maxLineLength);
+    if (halves.length < 2) {
+        return [text];
+    }
+    return splitToFit(halves[0], settings, labelWidth).concat(splitToFit(halves[1], settings, labelWidth));
+}
+
+// Splits at the best token boundary no later than `limit` characters: the last sentence end if there
+// is one past the first third, otherwise the last clause end, otherwise the last boundary.
+function splitOnce(text, limit, maxLineLength) {
+    const tokens = tokenize(text, maxLineLength);
+    const boundaries = [];
+    let length = 0;
+    for (let index = 0; index < tokens.length - 1; index += 1) {
+        length += tokens[index].text.length + (index > 0 && tokens[index].space ? 1 : 0);
+        if (length > limit && boundaries.length > 0) {
+            break;
+        }
+        if (!NO_LINE_START_REGEX.test(tokens[index + 1].text)) {
+            boundaries.push({index, length, token: tokens[index].text});
+        }
+    }
+    if (boundaries.length === 0) {
+        return [text];
+    }
+    const minimum = Math.min(limit, text.length) / 3;
+    const pick = (regex) => boundaries.filter(boundary => boundary.length >= minimum && regex.test(boundary.token)).pop();
+    const boundary = pick(SENTENCE_END_REGEX) || pick(CLAUSE_END_REGEX) || boundaries[boundaries.length - 1];
+    return [joinTokens(tokens.slice(0, boundary.index + 1)), joinTokens(tokens.slice(boundary.index + 1))];
+}
+
+// Text is broken between words, and between characters where a word does not fit on a line: Japanese
+// and Chinese are written without spaces, so a whole sentence comes as one "word". `space` tells
+// whether a space goes before the token.
+function tokenize(text, maxLineLength) {
+    const tokens = [];
+    text.split(" ").filter(Boolean).forEach((word, wordIndex) => {
+        if (word.length <= maxLineLength) {
+            tokens.push({text: word, space: wordIndex > 0});
+            return;
+        }
+        Array.from(word).forEach((character, characterIndex) => {
+            tokens.push({text: character, space: wordIndex > 0 && characterIndex === 0});
+        });
+    });
+    return tokens;
+}
+
+function joinTokens(tokens) {
+    return tokens.map((token, index) => index > 0 && token.space ? ` ${token.text}` : token.text).join("");
+}
+
+// Two-line cues are broken where the lines come out most even, preferring a break after punctuation;
+// anything that does not fit that way is wrapped greedily. The first line is `labelWidth` shorter,
+// but keeps at least half the line however long the label.
+export function wrapLines(text, maxLineLength, maxLines = 2, labelWidth = 0) {
+    const firstLineLength = Math.max(Math.ceil(maxLineLength / 2), maxLineLength - labelWidth);
+    if (text.length <= firstLineLength) {
+        return [text];
+    }
+    const tokens = tokenize(text, firstLineLength);
+    if (maxLines === 2) {
+        let best = null;
+        for (let index = 1; index < tokens.length; index += 1) {
+            const first = joinTokens(tokens.slice(0, index));
+            const second = joinTokens(tokens.slice(index));
+            if (first.length > firstLineLength || second.length > maxLineLength || NO_LINE_START_REGEX.test(tokens[index].text)) {
+                continue;
+            }
+            const punctuationBonus = CLAUSE_END_REGEX.test(first) || SENTENCE_END_REGEX.test(first) ? 6 : 0;
+            const score = Math.abs(first.length + maxLineLength - firstLineLength - second.length) - punctuationBonus;
+            if (!best || score < best.score) {
+                best = {score, lines: [first, second]};
+            }
+        }
+        if (best) {
+            return best.lines;
+        }
+    }
+    const lines = [];
+    tokens.forEach(token => {
+        const last = lines[lines.length - 1];
+        const lineLength = lines.length === 1 ? firstLineLength : maxLineLength;
+        if (last && (joinTokens(last.concat(token)).length <= lineLength || NO_LINE_START_REGEX.test(token.text))) {
+            last.push(token);
+        } else {
+            lines.push([token]);
+        }
+    });
+    return lines.map(joinTokens);
+}
+
+// Cues too fast to read are lengthened, up to the next cue; overlapping cues are cut back so there is
+// always a gap of minGapMs between them.
+function adjustTimings(cues, settings) {
+    cues = separateCueStarts(cues, settings);
+    return cues.map((cue, index) => {
+        const next = cues[index + 1];
+        const chars = cue.textLines.join(" ").length;
+        const readingMs = Math.round(chars / settings.maxCharsPerSecond * 1000);
+        const wantedMs = Math.min(Math.max(readingMs, settings.minCueDurationMs), settings.maxCueDurationMs);
+        let endMs = Math.min(Math.max(cue.endMs, cue.startMs + wantedMs), cue.startMs + settings.maxCueDurationMs);
+        if (next) {
+            endMs = Math.min(endMs, next.startMs - settings.minGapMs);
+        }
+        // A cue never loses more than it has; back-to-back cues from the backend keep a tiny duration.
+        endMs = Math.max(endMs, Math.min(cue.endMs, cue.startMs + MIN_VISIBLE_MS), cue.startMs + 1);
+        return {...cue, endMs};
+    });
+}
+
+// Cutting back cannot help cues that start (almost) together: the later one is moved back until the
+// earlier one has had its time, up to its reading time, or merged into it when that leaves nothing of
+// it. A cue of another speaker is never merged, which would put its text under the wrong label; it
+// is moved back and kept on screen for the shortest visible time instead. Moved cues lose their word
+// timings, which no longer match their start.
+function separateCueStarts(cues, settings) {
+    const result = [];
+    cues.forEach(cue => {
+        const previous = result[result.length - 1];
+        if (!previous || cue.startMs >= previous.startMs + MIN_VISIBLE_MS + settings.minGapMs) {
+            result.push(cue);
+            return;
+        }
+        const chars = previous.textLines.join(" ").length;
+        const readingMs = Math.max(MIN_VISIBLE_MS, Math.round(chars / settings.maxCharsPerSecond * 1000));
+        const shownMs = Math.max(MIN_VISIBLE_MS, Math.min(previous.endMs - previous.startMs, readingMs));
+        const startMs = previous.startMs + shownMs + settings.minGapMs;
+        if (cue.endMs - startMs >= MIN_VISIBLE_MS || (cue.speaker || null) !== (previous.speaker || null)) {
+            result.push({...cue, startMs, endMs: Math.max(cue.endMs, startMs + MIN_VISIBLE_MS), words: null});
+            return;
+        }
+        const text = `${previous.textLines.join(" ")} ${cue.textLines.join(" ")}`;
+        result[result.length - 1] = {
+            ...previous,
+            endMs: Math.max(previous.endMs, cue.endMs),
+            textLines: wrapLines(text, settings.maxLineLength, settings.maxLines, previous.labelWidth || 0),
+            words: null,
+        };
+    });
+    return result;
+}
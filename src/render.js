@@ -0,0 +1,278 @@
+import {alignWords, getReadabilityOptions, improveReadability} from "./readability";
+
+const {preferences} = iina;
+
+export const SUBTITLE_FORMATS = {
+    srt: {ext: "srt", render: renderSegmentsToSrt},
+    vtt: {ext: "vtt", render: renderSegmentsToVtt},
+    ass: {ext: "ass", render: renderSegmentsToAss},
+};
+
+// Primary colours handed out to diarized speakers in order of appearance, as ASS &HBBGGRR values.
+const ASS_SPEAKER_COLOURS = [
+    "&H00FFFFFF",
+    "&H0000FFFF",
+    "&H00FFFF00",
+    "&H0080FF80",
+    "&H00FF80FF",
+    "&H008080FF",
+    "&H0000A5FF",
+    "&H00FFC080",
+];
+const ASS_STYLE_FORMAT = "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding";
+
+export function getSubtitleFormat() {
+    const configured = `${preferences.get("subtitle_format") || "srt"}`.trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(SUBTITLE_FORMATS, configured) ? configured : "srt";
+}
+
+// How diarized speakers are marked: "prefix" puts the name before the text ("Anna: ..."), "dash"
+// starts a cue with "- " whenever the speaker changes, and "hidden" drops speaker labels.
+export const SPEAKER_LABEL_STYLES = ["prefix", "dash", "hidden"];
+
+// Karaoke ASS highlights each word as it is spoken, for cues whose word timings are known.
+export function isKaraokeEnabled() {
+    return Boolean(preferences.get("ass_karaoke"));
+}
+
+export function getSpeakerLabelStyle() {
+    const configured = `${preferences.get("speaker_label_style") || "prefix"}`.trim().toLowerCase();
+    return SPEAKER_LABEL_STYLES.includes(configured) ? configured : "prefix";
+}
+
+// `options.speakerNames` maps the speaker labels of the segments ("Speaker 1") to the names shown;
+// `options.readability` overrides the readability settings from the preferences.
+export function renderSegments(segments, format = getSubtitleFormat(), options = {}) {
+    return (SUBTITLE_FORMATS[format] || SUBTITLE_FORMATS.srt).render(segments, options);
+}
+
+export function renderSegmentsToSrt(segments, options = {}) {
+    const style = getSpeakerLabelStyle();
+    const normalized = prepareSegments(segments, options, style);
+    if (normalized.length === 0) {
+        return "";
+    }
+    const lines = [];
+    normalized.forEach((segment, index) => {
+        lines.push(String(index + 1));
+        lines.push(`${formatTimestamp(segment.startMs)} --> ${formatTimestamp(segment.endMs)}`);
+        withSpeakerLabel(segment, normalized[index - 1], style).forEach(textLine => lines.push(textLine));
+        lines.push("");
+    });
+    return lines.join("\n");
+}
+
+export function renderSegmentsToVtt(segments, options = {}) {
+    const style = getSpeakerLabelStyle();
+    const normalized = prepareSegments(segments, options, style);
+    if (normalized.length === 0) {
+        return "";
+    }
+    const cueSettings = `${preferences.get("vtt_cue_settings") || ""}`.trim();
+    const lines = ["WEBVTT", ""];
+    normalized.forEach((segment, index) => {
+        const timing = `${formatVttTimestamp(segment.startMs)} --> ${formatVttTimestamp(segment.endMs)}`;
+        lines.push(String(index + 1));
+        lines.push(cueSettings ? `${timing} ${cueSettings}` : timing);
+        withSpeakerLabel(segment, normalized[index - 1], style).forEach(textLine => lines.push(escapeVttText(textLine)));
+        lines.push("");
+    });
+    return lines.join("\n");
+}
+
+// ASS shows speakers through per-speaker styles rather than a name prefix; "dash" adds the dashes on
+// top of the colours and "hidden" renders every cue in the Default style.
+export function renderSegmentsToAss(segments, options = {}) {
+    const labelStyle = getSpeakerLabelStyle();
+    const karaoke = isKaraokeEnabled();
+    const normalized = prepareSegments(segments, options, labelStyle === "dash" ? "dash" : "hidden");
+    if (normalized.length === 0) {
+        return "";
+    }
+    if (labelStyle === "hidden") {
+        normalized.forEach(segment => { segment.speaker = null; });
+    }
+    const speakerStyles = new Map();
+    normalized.forEach(segment => {
+        if (segment.speaker && !speakerStyles.has(segment.speaker)) {
+            // The first colour is reserved for the Default style used by unlabelled cues.
+            const colour = ASS_SPEAKER_COLOURS[1 + speakerStyles.size % (ASS_SPEAKER_COLOURS.length - 1)];
+            speakerStyles.set(segment.speaker, {name: `Speaker_${sanitizeAssField(segment.speaker)}_${speakerStyles.size + 1}`, colour});
+        }
+    });
+    const lines = [
+        "[Script Info]",
+        "ScriptType: v4.00+",
+        "PlayResX: 384",
+        "PlayResY: 288",
+        "WrapStyle: 0",
+        "ScaledBorderAndShadow: yes",
+        "",
+        "[V4+ Styles]",
+        ASS_STYLE_FORMAT,
+        formatAssStyle("Default", ASS_SPEAKER_COLOURS[0]),
+    ];
+    speakerStyles.forEach(style => lines.push(formatAssStyle(style.name, style.colour)));
+    lines.push("", "[Events]", "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text");
+    normalized.forEach((segment, index) => {
+        const style = segment.speaker ? speakerStyles.get(segment.speaker).name : "Default";
+        const name = segment.speaker ? sanitizeAssField(segment.speaker) : "";
+        const textLines = (karaoke && formatKaraokeLines(segment)) || segment.textLines.map(escapeAssText);
+        const labelled = labelStyle === "dash" ? withSpeakerLabel({...segment, textLines}, normalized[index - 1], labelStyle) : textLines;
+        const text = labelled.join("\\N");
+        lines.push(`Dialogue: 0,${formatAssTimestamp(segment.startMs)},${formatAssTimestamp(segment.endMs)},${style},${name},0,0,0,,${text}`);
+    });
+    lines.push("");
+    return lines.join("\n");
+}
+
+// Each word gets a \k tag with its duration in centiseconds; pauses before a word get an empty one.
+function formatKaraokeLines(segment) {
+    const words = alignWords(segment.words, segment.textLines.join(" "));
+    if (!words) {
+        return null;
+    }
+    let cursorMs = segment.startMs;
+    let index = 0;
+    return segment.textLines.map(line => line.split(" ").filter(Boolean).map(() => {
+        const word = words[index++];
+        const pauseCs = Math.round((word.startMs - cursorMs) / 10);
+        const durationCs = Math.max(1, Math.round((word.endMs - Math.max(word.startMs, cursorMs)) / 10));
+        cursorMs = Math.max(cursorMs, word.endMs);
+        return `${pauseCs > 0 ? `{\\k${pauseCs}}` : ""}{\\k${durationCs}}${escapeAssText(word.text)}`;
+    }).join(" "));
+}
+
+// `labelStyle` is how the caller marks speakers in the text, so the readability stage leaves room for
+// the label on the first line of each cue.
+function prepareSegments(segments, options = {}, labelStyle = "hidden") {
+    if (!segments || segments.length === 0) {
+        return [];
+    }
+    const names = options.speakerNames || {};
+    const normalized = segments.map(normalizeRenderableSegment).filter(Boolean);
+    normalized.forEach(segment => {
+        if (segment.speaker && names[segment.speaker]) {
+            segment.speaker = names[segment.speaker];
+        }
+        segment.labelWidth = measureSpeakerLabel(segment, labelStyle);
+    });
+    normalized.sort((a, b) => a.startMs - b.startMs);
+    return improveReadability(normalized, options.readability || getReadabilityOptions());
+}
+
+function normalizeRenderableSegment(segment) {
+    if (!segment) {
+        return null;
+    }
+    const speaker = typeof segment.speaker === "string" && segment.speaker ? segment.speaker : null;
+    const words = Array.isArray(segment.words) && segment.words.length > 0 ? segment.words : null;
+    if (segment.timing) {
+        const [startRaw, endRaw] = segment.timing.split(/\s+-->\s+/);
+        return {
+            startMs: parseTimestampMs(startRaw),
+            endMs: parseTimestampMs(endRaw),
+            textLines: Array.isArray(segment.text) ? segment.text : Array.isArray(segment.textLines) ? segment.textLines : [segment.text || ""],
+            speaker,
+        };
+    }
+    const startMs = typeof segment.startMs === "number" ? segment.startMs : 0;
+    const endMsCandidates = [
+        segment.endMs,
+        startMs + estimateDurationFromTextLines(segment.textLines || segment.text || []),
+    ].filter(value => typeof value === "number" && value > startMs);
+    const endMs = endMsCandidates.length > 0 ? Math.max(...endMsCandidates) : startMs + 2000;
+    const textLines = Array.isArray(segment.textLines)
+        ? segment.textLines
+        : Array.isArray(segment.text)
+            ? segment.text
+            : [segment.text || ""];
+    const filtered = textLines.filter(line => typeof line === "string" ? line.trim().length > 0 : false);
+    return {startMs, endMs, textLines: filtered.length > 0 ? filtered : [""], speaker, words};
+}
+
+function withSpeakerLabel(segment, previous, style) {
+    if (!segment.speaker || style === "hidden") {
+        return segment.textLines;
+    }
+    const [first, ...rest] = segment.textLines;
+    if (style === "dash") {
+        // The first cue has nothing to change from, so it starts without a dash.
+        return previous && previous.speaker !== segment.speaker ? [`- ${first}`].concat(rest) : segment.textLines;
+    }
+    return [`${segment.speaker}: ${first}`].concat(rest);
+}
+
+// The dash only goes before a change of speaker, but which cues those are is only known once the
+// readability stage has split the segments, so every labelled cue leaves room for it.
+function measureSpeakerLabel(segment, style) {
+    if (!segment.speaker || style === "hidden") {
+        return 0;
+    }
+    return style === "dash" ? 2 : segment.speaker.length + 2;
+}
+
+function formatAssStyle(name, colour) {
+    return `Style: ${name},Arial,18,${colour},&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,1,0,2,10,10,12,1`;
+}
+
+function sanitizeAssField(value) {
+    return `${value}`.replace(/[,\r\n]+/g, " ").trim().replace(/\s+/g, "_");
+}
+
+function escapeAssText(text) {
+    // ASS has no escape for override braces, so swap them for parentheses, and break up
+    // backslashes so "\N"-style sequences in the transcript are not read as line breaks.
+    return text.replace(/\{/g, "(").replace(/}/g, ")").replace(/\\/g, "\\\u200b");
+}
+
+function escapeVttText(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function estimateDurationFromText(text) {
+    const words = (text || "").trim().split(/\s+/).filter(Boolean).length;
+    const averageMsPerWord = 320; // ~187 wpm
+    return words > 0 ? words * averageMsPerWord : 4000;
+}
+
+function estimateDurationFromTextLines(lines) {
+    if (!lines || lines.length === 0) {
+        return 2000;
+    }
+    const joined = Array.isArray(lines) ? lines.join(" ") : String(lines);
+    return estimateDurationFromText(joined);
+}
+
+export function parseTimestampMs(value) {
+    const match = /^(\d{2}):(\d{2}):(\d{2}),(\d{3})$/.exec(value || "");
+    if (!match) {
+        return 0;
+    }
+    const [, hh, mm, ss, ms] = match;
+    return ((((parseInt(hh, 10) * 60) + parseInt(mm, 10)) * 60) + parseInt(ss, 10)) * 1000 + parseInt(ms, 10);
+}
+
+export function formatTimestamp(ms) {
+    const clamped = Math.max(0, Math.floor(ms));
+    const hours = Math.floor(clamped / 3600000);
+    const minutes = Math.floor((clamped % 3600000) / 60000);
+    const seconds = Math.floor((clamped % 60000) / 1000);
+    const millis = clamped % 1000;
+    const pad = (num, len = 2) => String(num).padStart(len, "0");
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(millis, 3)}`;
+}
+
+function formatVttTimestamp(ms) {
+    return formatTimestamp(ms).replace(",", ".");
+}
+
+function formatAssTimestamp(ms) {
+    const clamped = Math.max(0, Math.floor(ms));
+    const hours = Math.floor(clamped / 3600000);
+    const minutes = Math.floor((clamped % 3600000) / 60000);
+    const seconds = Math.floor((clamped % 60000) / 1000);
+    const centis = Math.floor((clamped % 1000) / 10);
+    const pad = (num) => String(num).padStart(2, "0");
+    return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(centis)}`;
+}
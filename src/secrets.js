@@ -0,0 +1,83 @@
+const {console, file, utils} = iina;
+
+// Every key handed out by resolveApiKey, so redactSecrets can scrub them from logs and dumps.
+const knownSecrets = new Set();
+
+// Keys come from, in order: a key file, an environment variable, or the key stored in the
+// preferences. A configured file or variable that cannot be used is an error rather than a silent
+// fallback, so a stale key in the preferences is never sent by accident.
+export async function resolveApiKey(profile) {
+    let key = "";
+    if (profile.apiKeyFile) {
+        key = await readKeyFile(profile.apiKeyFile);
+    } else if (profile.apiKeyEnv) {
+        key = await readKeyFromEnvironment(profile.apiKeyEnv);
+    } else {
+        key = profile.apiKey;
+    }
+    if (key) {
+        knownSecrets.add(key);
+    }
+    return key;
+}
+
+// curl reads the header from a file (`-H @file`) so the key never appears in its arguments, where
+// any local user could see it with `ps`. The job directory is private to the user; the caller
+// deletes the file as soon as curl is done.
+export async function writeAuthorizationHeader(path, apiKey) {
+    if (!apiKey) {
+        return [];
+    }
+    file.write(path, `Authorization: Bearer ${apiKey}\n`);
+    await utils.exec("/bin/chmod", ["600", path]);
+    return ["-H", `@${path}`];
+}
+
+export function redactSecrets(text) {
+    let redacted = `${text ?? ""}`;
+    knownSecrets.forEach(secret => {
+        redacted = redacted.split(secret).join(maskSecret(secret));
+    });
+    return redacted
+        .replace(/(Bearer\s+)[^\s"']+/gi, "$1[redacted]")
+        .replace(/\bsk-[A-Za-z0-9_-]{12,}/g, secret => maskSecret(secret));
+}
+
+function maskSecret(secret) {
+    return secret.length > 8 ? `${secret.slice(0, 3)}…${secret.slice(-4)}` : "[redacted]";
+}
+
+// Key files must belong to the user and must not be readable by anyone else, like ssh keys.
+async function readKeyFile(rawPath) {
+    const path = rawPath.startsWith("~/") ? `${utils.resolvePath("~")}${rawPath.slice(1)}` : rawPath;
+    if (!file.exists(path)) {
+        throw new Error(`API key file ${path} does not exist.`);
+    }
+    const [{stdout: statOutput}, {stdout: uidOutput}] = await Promise.all([
+        utils.exec("/usr/bin/stat", ["-f", "%Lp %u", path]),
+        utils.exec("/usr/bin/id", ["-u"]),
+    ]);
+    const [mode, owner] = (statOutput || "").trim().split(/\s+/);
+    if (owner !== (uidOutput || "").trim()) {
+        throw new Error(`API key file ${path} is not owned by the current user.`);
+    }
+    if ((parseInt(mode, 8) & 0o077) !== 0) {
+        throw new Error(`API key file ${path} is accessible by other users (mode ${mode}). Restrict it with: chmod 600 "${path}"`);
+    }
+    const key = (file.read(path) || "").trim();
+    if (!key) {
+        throw new Error(`API key file ${path} is empty.`);
+    }
+    return key;
+}
+
+// Apps started from the Finder only see variables set with `launchctl setenv`, not shell profiles.
+async function readKeyFromEnvironment(name) {
+    const {status, stdout} = await utils.exec("/usr/bin/printenv", [name]);
+    const key = (stdout || "").trim();
+    if (status !== 0 || !key) {
+        console.warn(`[Whisperina] Environment variable ${name} is not set for IINA.`);
+        throw new Error(`Environment variable ${name} is not set. For apps started from the Finder, set it with: launchctl setenv ${name} <key>`);
+    }
+    return key;
+}
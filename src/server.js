@@ -0,0 +1,269 @@
+import {JOBS_DIRECTORY} from "./jobs";
+
+const {console, http, preferences, utils, file} = iina;
+
+const SERVER_PID_FILE = "whisper_server.pid";
+const SERVER_LOG_FILE = "whisper_server.log";
+const SERVER_READY_TIMEOUT_MS = 120000;
+
+// Warm servers owned by the global entry, one per queue slot: {key, pid, host, port, baseUrl, logPath,
+// pidPath, idleTimer}. The key covers everything the server was launched with, so a job asking for
+// another model or other options gets the server restarted instead of reused.
+const servers = new Map();
+// Slots whose server is being started, with a flag set when the job asking for it was cancelled.
+const startingServers = new Map();
+
+export async function acquireWhisperServer({slot, modelPath, options}) {
+    const key = JSON.stringify({modelPath, options});
+    const current = servers.get(slot);
+    if (current) {
+        clearIdleTimer(current);
+        if (current.key === key && await isProcessAlive(current.pid)) {
+            console.log(`[Whisperina] Reusing warm whisper-server on port ${current.port}.`);
+            return describeServer(current);
+        }
+        console.log(`[Whisperina] Replacing whisper-server on port ${current.port} (${current.key === key ? "not running" : "model or options changed"}).`);
+        servers.delete(slot);
+        await stopWhisperServer(current);
+    }
+    const starting = {stopRequested: false};
+    startingServers.set(slot, starting);
+    try {
+        const server = await startWhisperServer(slot, modelPath, options, () => starting.stopRequested);
+        servers.set(slot, {...server, key, idleTimer: null});
+        return server;
+    } finally {
+        startingServers.delete(slot);
+    }
+}
+
+// Stops the slot's server whether it is busy, idle or still starting up.
+export async function stopSlotWhisperServer(slot) {
+    const starting = startingServers.get(slot);
+    if (starting) {
+        starting.stopRequested = true;
+    }
+    const server = servers.get(slot);
+    if (!server) {
+        return;
+    }
+    console.log(`[Whisperina] Stopping whisper-server on port ${server.port} for a cancelled job.`);
+    clearIdleTimer(server);
+    servers.delete(slot);
+    await stopWhisperServer(server);
+}
+
+// Servers waiting for their idle timeout; busy ones are left to the jobs using them.
+export async function stopIdleWhisperServers() {
+    for (const [slot, server] of Array.from(servers.entries())) {
+        if (!server.idleTimer) {
+            continue;
+        }
+        console.log(`[Whisperina] Stopping idle whisper-server on port ${server.port}.`);
+        clearIdleTimer(server);
+        servers.delete(slot);
+        await stopWhisperServer(server);
+    }
+}
+
+// Each job has the log to itself, so it starts out empty. The server appends to it (see
+// startWhisperServer), which keeps it writing at the new end.
+export async function resetServerLog(serverInfo) {
+    await utils.exec("/bin/sh", ["-c", ': > "$0"', serverInfo.logPath]);
+}
+
+// An idle timeout of zero stops the server as soon as its job is done.
+export function releaseWhisperServer(slot) {
+    const server = servers.get(slot);
+    if (!server) {
+        return;
+    }
+    clearIdleTimer(server);
+    const idleMs = getIdleTimeoutMs();
+    const shutdown = () => {
+        if (servers.get(slot) === server) {
+            servers.delete(slot);
+        }
+        stopWhisperServer(server).catch(error => console.warn(`Failed to stop idle whisper-server: ${error.message}`));
+    };
+    if (idleMs === 0) {
+        shutdown();
+        return;
+    }
+    server.idleTimer = setTimeout(() => {
+        console.log(`[Whisperina] whisper-server on port ${server.port} idled for ${Math.round(idleMs / 1000)} s, shutting down.`);
+        shutdown();
+    }, idleMs);
+}
+
+export async function stopWhisperServer(serverInfo) {
+    const pid = serverInfo.pid || readRecordedPid(serverInfo.pidPath);
+    if (!pid) {
+        clearRecordedPid(serverInfo.pidPath);
+        return;
+    }
+    try {
+        await utils.exec("/bin/kill", ["-TERM", `${pid}`]);
+        await delay(200);
+    } catch (error) {
+        if (!/No such process/i.test(error?.message || "")) {
+            console.warn(`Failed to terminate whisper-server (pid ${pid}): ${error.message}`);
+        }
+    }
+    try {
+        await utils.exec("/bin/kill", ["-KILL", `${pid}`]);
+    } catch (error) {
+        if (!/No such process/i.test(error?.message || "")) {
+            console.warn(`Failed to force-stop whisper-server (pid ${pid}): ${error.message}`);
+        }
+    }
+    clearRecordedPid(serverInfo.pidPath);
+}
+
+export function readRecordedPid(pidPath) {
+    try {
+        if (!pidPath || !file.exists(pidPath)) {
+            return null;
+        }
+        const content = file.read(pidPath);
+        const pid = parseInt((content || "").trim(), 10);
+        return Number.isFinite(pid) ? pid : null;
+    } catch (error) {
+        console.warn(`Unable to read PID record: ${error.message}`);
+        return null;
+    }
+}
+
+// Slots running side by side each get their own port, offset from the configured one by the slot.
+// The server lives in a directory next to the job directories so stale ones are cleaned up alike.
+async function startWhisperServer(slot, modelPath, options, isCancelled) {
+    const serverPath = getWhisperServerPath();
+    const host = preferences.get("wserver_host") || "127.0.0.1";
+    const port = (parseInt(preferences.get("wserver_port"), 10) || 17896) + slot;
+    await ensurePortIsFree(port);
+    const directory = `${utils.resolvePath(JOBS_DIRECTORY)}/server-${slot}`;
+    await utils.exec("/bin/mkdir", ["-p", directory]);
+    const logPath = `${directory}/${SERVER_LOG_FILE}`;
+    const pidPath = `${directory}/${SERVER_PID_FILE}`;
+    const args = ['-m', modelPath, '--host', host, '--port', `${port}`].concat(options || []);
+    const command = `: > ${shellEscape(logPath)}; ${shellEscape(serverPath)} ${args.map(shellEscape).join(" ")} >> ${shellEscape(logPath)} 2>&1 & echo $!`;
+    console.log(`[Whisperina] Launching whisper-server via: ${command}`);
+    const {status, stdout} = await utils.exec("/bin/sh", ["-c", command]);
+    const pid = parseInt((stdout || "").trim().split("\n").pop() || "", 10);
+    if (status !== 0 || !Number.isFinite(pid)) {
+        throw new Error("Unable to start whisper-server. Check your server path and options.");
+    }
+    const serverInfo = {pid, host, port, baseUrl: `http://${host}:${port}`, logPath, pidPath};
+    rememberPid(pidPath, pid);
+    try {
+        await waitForServerReady(serverInfo, SERVER_READY_TIMEOUT_MS, isCancelled);
+        console.log("[Whisperina] whisper-server reported healthy.");
+    } catch (error) {
+        console.error(`Failed to start whisper-server (log: ${logPath})`);
+        await stopWhisperServer(serverInfo);
+        throw error;
+    }
+    return serverInfo;
+}
+
+// Large models take a while to load, so readiness is only given up on once the process is gone.
+async function waitForServerReady(serverInfo, timeoutMs, isCancelled) {
+    const healthUrl = `${serverInfo.baseUrl}/health`;
+    const deadline = Date.now() + timeoutMs;
+    let lastError;
+    while (Date.now() < deadline) {
+        if (isCancelled()) {
+            throw new Error("whisper-server startup was cancelled.");
+        }
+        try {
+            const response = await http.get(healthUrl);
+            if (response.statusCode === 200) {
+                return;
+            }
+            lastError = new Error(`Unexpected server status: ${response.statusCode}`);
+        } catch (error) {
+            lastError = error;
+        }
+        if (!await isProcessAlive(serverInfo.pid)) {
+            throw new Error(`whisper-server exited during startup. See ${serverInfo.logPath} for details.`);
+        }
+        await delay(300);
+    }
+    const reason = lastError ? lastError.message : "unknown";
+    throw new Error(`Timed out waiting for whisper-server to become ready (${reason}).`);
+}
+
+// Only servers of this plugin are ever stopped; anything else listening on the port is reported.
+async function ensurePortIsFree(port) {
+    const {stdout} = await utils.exec("/usr/sbin/lsof", ["-nP", `-iTCP:${port}`, "-sTCP:LISTEN", "-t"]);
+    const pids = (stdout || "").split(/\s+/).filter(Boolean);
+    if (pids.length > 0) {
+        throw new Error(`Port ${port} is already in use by another process (pid ${pids.join(", ")}). Choose a different whisper-server port in the preferences.`);
+    }
+}
+
+async function isProcessAlive(pid) {
+    if (!pid) {
+        return false;
+    }
+    const {status} = await utils.exec("/bin/kill", ["-0", `${pid}`]);
+    return status === 0;
+}
+
+function describeServer({pid, host, port, baseUrl, logPath, pidPath}) {
+    return {pid, host, port, baseUrl, logPath, pidPath};
+}
+
+function clearIdleTimer(server) {
+    if (server.idleTimer) {
+        clearTimeout(server.idleTimer);
+        server.idleTimer = null;
+    }
+}
+
+function getIdleTimeoutMs() {
+    const seconds = parseInt(preferences.get("wserver_idle_timeout"), 10);
+    return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 300) * 1000;
+}
+
+function getWhisperServerPath() {
+    const serverPath = preferences.get("wserver_path");
+    if (!utils.fileInPath(serverPath)) {
+        throw new Error(`Unable to locate whisper-server executable at: ${serverPath}. Check the preference page for more details.`);
+    }
+    return serverPath;
+}
+
+// The PID file lets the global entry stop servers left behind by a crashed or force-quit session.
+function rememberPid(pidPath, pid) {
+    try {
+        file.write(pidPath, `${pid}`);
+    } catch (error) {
+        console.warn(`Unable to record whisper-server pid: ${error.message}`);
+    }
+}
+
+function clearRecordedPid(pidPath) {
+    try {
+        if (pidPath && file.exists(pidPath)) {
+            file.delete(pidPath);
+        }
+    } catch (error) {
+        console.warn(`Unable to remove PID record: ${error.message}`);
+    }
+}
+
+function shellEscape(value) {
+    if (value === undefined || value === null) {
+        return "''";
+    }
+    const str = String(value);
+    if (/^[A-Za-z0-9_\/.:=-]+$/.test(str)) {
+        return str;
+    }
+    return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
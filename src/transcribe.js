@@ -1,12 +1,62 @@
 import {parse} from "shell-quote";
+import {
+    findCachedTranscripts,
+    fingerprintMedia,
+    listArchivedTranscripts,
+    persistSubtitleCopy,
+    readArchivedRawOutput,
+    readArchivedSegments,
+    readSpeakerNames,
+    writeSpeakerNames,
+} from "./archive";
+import {
+    SUBTITLE_FORMATS,
+    estimateDurationFromText,
+    formatTimestamp,
+    getSpeakerLabelStyle,
+    getSubtitleFormat,
+    isKaraokeEnabled,
+    parseTimestampMs,
+    renderSegments,
+    renderSegmentsToSrt,
+} from "./render";
+import {normalizeLanguage} from "./languages";
+import {DEFAULT_READABILITY_OPTIONS, getReadabilityOptions} from "./readability";
+import {
+    DEFAULT_FILTER_OPTIONS,
+    describeFilterSummary,
+    filterHallucinations,
+    getFilterOptions,
+    parseSilenceDetectOutput,
+} from "./filters";
+import {deleteModel, verifyModel} from "./models";
+import {
+    acquireWhisperServer,
+    cancelPendingJobs,
+    finishJob,
+    listActiveJobs,
+    releaseWhisperServer,
+    startJob,
+    stopWhisperServerOfJob,
+} from "./jobs";
+import {readRecordedPid, resetServerLog} from "./server";
+import {createProgress, parseFfmpegProgressTimeMs} from "./progress";
+import {DEFAULT_PROFILE_ID, getOpenAIProfile} from "./profiles";
+import {redactSecrets, resolveApiKey, writeAuthorizationHeader} from "./secrets";
+import {buildTimeoutArgs, createRequestError, getMaxRetries, getRetryDelayMs, parseResponseHeaders} from "./http";
 
-const {console, core, preferences, utils, http, file} = iina;
+const {console, core, mpv, preferences, utils, file} = iina;
 
 const HOME_PATH = '~/Library/Application Support/com.colliderli.iina/plugins/';
-const SERVER_PID_FILE = "@tmp/whisper_server.pid";
+// Names of the files kept in each job's own directory.
+const PROCESS_PID_FILE = "process.pid";
+const INCOMPLETE_SUBTITLE_FILE = "whisper_tmp.INCOMPLETE.srt";
+const LIVE_SUBTITLE_FILE = "whisper_tmp.live.srt";
 const LOG_POLL_INTERVAL_MS = 1000;
 const LOG_SEGMENT_REGEX = /^\[(\d{2}:\d{2}:\d{2}\.\d{3}) --> (\d{2}:\d{2}:\d{2}\.\d{3})]\s+(.*)$/;
 const OPENAI_SIZE_LIMIT_BYTES = 25 * 1024 * 1024;
+const OPENAI_CHUNK_OVERLAP_MS = 5000;
+const OPENAI_STREAM_FLUSH_INTERVAL_MS = 3000;
 const OPENAI_AUDIO_PROFILES = [
     {
         name: "aac_high",
@@ -45,162 +95,1956 @@ const OPENAI_AUDIO_PROFILES = [
     },
 ];
 
-let activeServerInfo = null;
+// Machine-readable progress on stdout instead of the status line on stderr.
+const FFMPEG_PROGRESS_ARGS = ['-progress', 'pipe:1', '-nostats'];
+const CLI_PROGRESS_REGEX = /progress\s*=\s*(\d+)%/;
+const LANGUAGE_DETECTION_REGEX = /auto-detected language:\s*([a-z]{2,3})\b/gi;
+const REMOTE_URL_REGEX = /^[a-z][a-z0-9+.-]*:\/\//i;
+const REMOTE_IO_TIMEOUT_US = 30 * 1000 * 1000;
+const REMOTE_MAX_ATTEMPTS = 5;
+const REMOTE_COMPLETION_TOLERANCE_MS = 1000;
+// 16 kHz mono signed 16-bit PCM.
+const PCM_BYTES_PER_MS = 32;
+// Descriptor keys of the settings applied after the backend has answered (see describeRenderSettings).
+const RENDER_SETTING_KEYS = ["format", "speakerLabels", "readability", "karaoke", "filter"];
+const TRANSCRIBER_MODE_NAMES = {
+    whisper_server: "Local whisper.cpp server",
+    whisper_cli: "Local whisper.cpp CLI",
+    openai: "OpenAI Streaming API",
+};
 
-export async function transcribe(model) {
-    const useOpenAI = isOpenAIMode();
-    console.log(`[Whisperina] Selected backend: ${useOpenAI ? "OpenAI Streaming API" : "Local whisper.cpp server"}.`);
-    if (!useOpenAI) {
-        await downloadOrGetModel(model);
+
+// `options.range` ({startMs, endMs}, endMs may be null for "until the end") limits transcription to
+// part of the media; the result is merged into the newest archived transcript of the same file.
+// `options.translate` asks the backend to translate the speech into English instead.
+// `options.audioTrack` is an IINA audio track id; by default the currently selected track is used.
+export async function transcribe(model, options = {}) {
+    const mode = getTranscriberMode();
+    const useOpenAI = mode === "openai";
+    const range = options.range || null;
+    const translate = Boolean(options.translate);
+    const audioTrack = resolveAudioTrack(options.audioTrack);
+    const language = getRequestedLanguage(audioTrack);
+    console.log(`[Whisperina] Selected backend: ${TRANSCRIBER_MODE_NAMES[mode]}.`);
+    const fileName = getMediaSource();
+
+    const cacheInfo = {
+        fingerprint: await fingerprintMedia(fileName),
+        descriptor: describeTranscription(mode, model, range, translate, language, audioTrack),
+    };
+    const cachedPath = range ? null : await loadCachedTranscript(cacheInfo, fileName);
+    if (cachedPath) {
+        return [cachedPath];
+    }
+
+    core.osd("Waiting for a transcription slot...");
+    const job = await startJob(position => core.osd(`Queued behind other transcriptions (position ${position})...`));
+    // Backends fill in job.detectedLanguage when the model reports the language it picked.
+    Object.assign(job, {offsetMs: range ? range.startMs : 0, range, audioTrack, translate, language, detectedLanguage: null, audioMs: getJobAudioMs(range)});
+    if (useOpenAI) {
+        job.profile = getOpenAIProfile(getOpenAIProfileId(model));
+    }
+    // The one file of the job directory that outlives the job, if any.
+    let keepPath = null;
+    try {
+        if (!useOpenAI) {
+            await downloadOrGetModel(model, job);
+        }
+        const tempWavFile = await generateTemporaryWaveFiles(fileName, job);
+        console.log(`[Whisperina] Temporary WAV ready at ${tempWavFile}.`);
+
+        core.osd(useOpenAI ? `${describeTask(job)} with ${job.profile.name}...` : `${describeTask(job)}...`);
+
+        let segments;
+        if (useOpenAI) {
+            segments = await transcribeWithOpenAI(tempWavFile, job);
+        } else if (mode === "whisper_cli") {
+            segments = await transcribeWithWhisperCli(tempWavFile, model, job);
+        } else {
+            segments = await transcribeWithWhisperServer(tempWavFile, model, job);
+        }
+        segments = await filterTranscript(segments, tempWavFile, job);
+        segments = alignSpeakersWithArchive(segments, (range && findMergeTarget(cacheInfo)) || findSpeakerReference(cacheInfo));
+        if (range) {
+            const merged = mergeWithArchivedTranscript(segments, range, cacheInfo);
+            segments = merged.segments;
+            // A range merged into a whole-file transcript is whole again and may be reused as such.
+            if (merged.complete) {
+                delete cacheInfo.descriptor.partial;
+            }
+        }
+        const raw = job.raw ? {version: 1, backend: mode, ...job.raw, offsetMs: job.offsetMs, range, silences: job.silences || []} : null;
+        const resultLanguage = translate ? "en" : job.detectedLanguage || (language !== "auto" ? language : null);
+        if (job.detectedLanguage) {
+            console.log(`[Whisperina] Detected language: ${job.detectedLanguage}.`);
+        }
+        const subtitlePath = writeSubtitleFile(segments, job, resultLanguage, readSpeakerNames(cacheInfo.fingerprint));
+        const archivedPath = await persistSubtitleCopy(subtitlePath, fileName, {...cacheInfo, language: resultLanguage}, {segments, raw});
+        // IINA is handed the archived copy when there is one, so the job directory can go entirely.
+        keepPath = archivedPath ? null : subtitlePath;
+
+        core.osd(job.detectedLanguage ? `Transcription succeeded (detected language: ${job.detectedLanguage}).` : "Transcription succeeded.");
+        return [archivedPath || subtitlePath];
+    } catch (error) {
+        if (!job.cancelled) {
+            throw error;
+        }
+        const incompletePath = keepIncompleteSubtitle(job);
+        keepPath = incompletePath;
+        if (!incompletePath) {
+            core.osd("Transcription cancelled.");
+            throw createCancelledError();
+        }
+        core.osd("Transcription cancelled. The subtitles generated so far are loaded and marked as incomplete.");
+        return [incompletePath];
+    } finally {
+        finishJob(job);
+        await removeJobDirectory(job, keepPath);
+    }
+}
+
+// Cancels this window's jobs: queued ones leave the queue, running ones have the processes they own
+// terminated and finish with whatever subtitle was streamed so far. Returns the number of jobs hit.
+export async function cancelTranscriptions() {
+    const pendingCount = cancelPendingJobs(createCancelledError);
+    const jobs = listActiveJobs();
+    for (const job of jobs) {
+        console.log(`[Whisperina] Cancelling job ${job.id}.`);
+        job.cancelled = true;
+        await terminateRecordedProcess(jobPath(job, PROCESS_PID_FILE));
+        if (job.usesServer) {
+            stopWhisperServerOfJob(job, createCancelledError);
+        }
+    }
+    return pendingCount + jobs.length;
+}
+
+// Asks for a name for every speaker of the newest transcript of the current media, then renders all
+// archived transcripts of the media that kept their segments again and loads the newest one.
+export async function renameSpeakers() {
+    const fingerprint = await fingerprintMedia(getMediaSource());
+    const entries = listArchivedTranscripts(fingerprint)
+        .map(entry => ({entry, segments: readArchivedSegments(entry)}))
+        .filter(({segments}) => segments);
+    const speakers = entries.length > 0
+        ? Array.from(new Set(entries[0].segments.map(segment => segment.speaker).filter(Boolean)))
+        : [];
+    if (speakers.length === 0) {
+        core.osd("The latest transcript of this media has no speaker labels.");
+        return;
+    }
+    const names = {...readSpeakerNames(fingerprint)};
+    for (const speaker of speakers) {
+        const current = names[speaker] ? ` (currently "${names[speaker]}")` : "";
+        const answer = utils.prompt(`Name for ${speaker}${current}. Leave empty to keep it, enter "-" to remove the name.`);
+        if (answer === undefined || answer === null) {
+            return;
+        }
+        const trimmed = `${answer}`.trim();
+        if (trimmed === "-") {
+            delete names[speaker];
+        } else if (trimmed) {
+            names[speaker] = trimmed;
+        }
+    }
+    await writeSpeakerNames(fingerprint, names);
+    entries.forEach(({entry, segments}) => {
+        const format = entry.descriptor?.format || entry.path.substring(entry.path.lastIndexOf(".") + 1);
+        file.write(entry.path, renderSegments(segments, format, {speakerNames: names}));
+    });
+    await reloadSubtitleTrack(entries[0].entry.path);
+    core.osd(`Updated speaker names in ${entries.length} transcript(s).`);
+}
+
+// Parses the raw backend output kept with the newest archived transcript of the current media again
+// and renders it with the current filter, readability, speaker and format settings, without running
+// a backend. The result is archived as a transcript of its own and loaded.
+export async function rerenderFromRawOutput() {
+    const fileName = getMediaSource();
+    const fingerprint = await fingerprintMedia(fileName);
+    const entry = listArchivedTranscripts(fingerprint).find(candidate => candidate.rawFile);
+    const raw = entry ? readArchivedRawOutput(entry) : null;
+    if (!raw) {
+        core.osd("No archived transcript of this media kept its raw backend output.");
+        return null;
     }
+    console.log(`[Whisperina] Re-rendering ${entry.path} from its raw ${raw.format} output.`);
+    const segments = await parseArchivedRawOutput(entry, raw);
+    const subtitlePath = await rerenderArchivedTranscript(entry, segments, raw, fileName, fingerprint);
+    await reloadSubtitleTrack(subtitlePath);
+    core.osd(`Re-rendered ${segments.length} segment(s) from the raw backend output.`);
+    return subtitlePath;
+}
+
+// A transcript archived with the same backend settings is reused. When only the settings applied
+// after the backend differ, it is rendered again from its raw output, or from its segments if the
+// filter settings are unchanged (archived segments are already filtered), instead of running the
+// backend again.
+async function loadCachedTranscript(cacheInfo, mediaFile) {
+    const candidates = findCachedTranscripts(cacheInfo, RENDER_SETTING_KEYS);
+    if (candidates.length > 0 && candidates[0].exact) {
+        console.log(`[Whisperina] Found cached transcript ${candidates[0].path} (created ${candidates[0].createdAt}).`);
+        core.osd("Loaded previously generated subtitle.");
+        return candidates[0].path;
+    }
+    const filter = JSON.stringify(cacheInfo.descriptor.filter);
+    for (const entry of candidates) {
+        const raw = entry.rawFile ? readArchivedRawOutput(entry) : null;
+        const archivedSegments = !raw && JSON.stringify(entry.descriptor.filter) === filter ? readArchivedSegments(entry) : null;
+        if (!raw && !archivedSegments) {
+            continue;
+        }
+        console.log(`[Whisperina] Re-rendering cached transcript ${entry.path} (created ${entry.createdAt}) with the current settings.`);
+        const segments = archivedSegments || await parseArchivedRawOutput(entry, raw);
+        const subtitlePath = await rerenderArchivedTranscript(entry, segments, raw, mediaFile, cacheInfo.fingerprint);
+        core.osd("Loaded previously generated subtitle with the current settings.");
+        return subtitlePath;
+    }
+    return null;
+}
+
+async function parseArchivedRawOutput(entry, raw) {
+    const segments = alignSpeakersWithArchive(await parseRawOutput(raw), entry);
+    return raw.range ? mergeOutsideRange(segments, raw.range, entry) : segments;
+}
+
+// Renders segments of an archived transcript with the current settings and archives the result as a
+// transcript of its own. Returns the path of the subtitle file.
+async function rerenderArchivedTranscript(entry, segments, raw, mediaFile, fingerprint) {
+    const format = getSubtitleFormat();
+    const content = renderSegments(segments, format, {speakerNames: readSpeakerNames(fingerprint)});
+    if (!content) {
+        throw new Error(`${raw ? "The raw output" : "The archived transcript"} holds no subtitle content.`);
+    }
+    const language = entry.language || null;
+    const tempPath = `${utils.resolvePath("@tmp")}/whisper_rerender${language ? `.${language}` : ""}.${SUBTITLE_FORMATS[format].ext}`;
+    file.write(tempPath, content);
+    const cacheInfo = {fingerprint, descriptor: describeRenderSettings({...entry.descriptor}), language};
+    const archivedPath = await persistSubtitleCopy(tempPath, mediaFile, cacheInfo, {segments, raw});
+    if (archivedPath) {
+        safeDeleteFile(tempPath);
+    }
+    return archivedPath || tempPath;
+}
+
+// Repeats what the backends do with their responses: parse each chunk, merge the chunks, number the
+// speakers and filter against the silence detected at the time.
+async function parseRawOutput(raw) {
+    let segments = [];
+    for (const chunk of raw.chunks) {
+        const parsed = await parseRawChunk(raw, chunk);
+        segments = mergeChunkSegments(segments, parsed.map(segment => shiftSegment(segment, chunk.offsetMs)), chunk.offsetMs);
+    }
+    if (raw.backend === "openai") {
+        segments = numberSpeakers(segments);
+    }
+    segments = segments.map(segment => shiftSegment(segment, raw.offsetMs || 0));
+    const options = getFilterOptions();
+    if (!options.enabled) {
+        return segments;
+    }
+    // JSON has no Infinity: silence lasting until the end of the audio comes back without an end.
+    const silences = (raw.silences || []).map(silence => ({...silence, endMs: silence.endMs ?? Number.POSITIVE_INFINITY}));
+    const {segments: filtered, summary} = filterHallucinations(segments, {silences, blocklist: options.blocklist});
+    console.log(`[Whisperina] Hallucination filter removed ${describeFilterSummary(summary)}.`);
+    return filtered;
+}
+
+async function parseRawChunk(raw, chunk) {
+    switch (raw.format) {
+        case "openai-json":
+            return parseOpenAIResponse(chunk.body, {capabilities: raw.capabilities || {}});
+        case "openai-sse": {
+            const handler = createOpenAIStreamHandler(chunk.durationMs, () => Promise.resolve());
+            handler.handleChunk(chunk.body);
+            handler.finalize();
+            await handler.waitForFlush();
+            return handler.getSegments();
+        }
+        case "whisper-server-json":
+            return parseWhisperServerJson(chunk.body);
+        case "whisper-cli-json":
+            return parseWhisperCliJson(chunk.body);
+        case "whisper-server-srt":
+        case "whisper-cli-srt":
+            return parseSrtToSegments(chunk.body || "");
+        default:
+            throw new Error(`Unknown raw output format "${raw.format}".`);
+    }
+}
+
+function describeTask(job) {
+    return job.translate ? "Translating" : "Transcribing";
+}
+
+function createCancelledError() {
+    return new Error("Transcription cancelled.");
+}
+
+function throwIfCancelled(job) {
+    if (job && job.cancelled) {
+        throw createCancelledError();
+    }
+}
+
+// The live track of a cancelled job is replaced by a copy with an INCOMPLETE file name and a closing
+// cue, so it cannot be mistaken for a finished transcript. The copy is never archived.
+function keepIncompleteSubtitle(job) {
+    const livePath = jobPath(job, LIVE_SUBTITLE_FILE);
+    if (!file.exists(livePath)) {
+        return null;
+    }
+    const segments = parseSrtToSegments(file.read(livePath) || "");
+    removeSubtitleTrack(livePath);
+    if (segments.length === 0) {
+        return null;
+    }
+    const lastEndMs = Math.max(...segments.map(segment => segment.endMs));
+    segments.push({startMs: lastEndMs, endMs: lastEndMs + 4000, textLines: ["[Transcription cancelled: subtitles end here]"]});
+    const incompletePath = jobPath(job, INCOMPLETE_SUBTITLE_FILE);
+    file.write(incompletePath, renderSegmentsToSrt(segments));
+    return incompletePath;
+}
+
+function removeJobFiles(job, keepPath = null) {
+    try {
+        (file.list(job.dir, {includeSubDir: false}) || [])
+            .filter(entry => !entry.isDir && entry.path !== keepPath)
+            .forEach(entry => safeDeleteFile(entry.path));
+    } catch (error) {
+        console.warn(`Unable to clean up job directory ${job.dir}: ${error.message}`);
+    }
+}
+
+// Only a subtitle handed to IINA from the job directory is left behind; the global entry removes it
+// with the rest of the stale jobs on its next start.
+export async function removeJobDirectory(job, keepPath = null) {
+    if (keepPath) {
+        removeJobFiles(job, keepPath);
+        return;
+    }
+    const {status, stderr} = await utils.exec("/bin/rm", ["-rf", job.dir]);
+    if (status !== 0) {
+        console.warn(`Unable to remove job directory ${job.dir}: ${stderr}`);
+    }
+}
+
+function jobPath(job, name) {
+    return `${job.dir}/${name}`;
+}
+
+export async function listArchivedTranscriptsForCurrentMedia() {
+    try {
+        return listArchivedTranscripts(await fingerprintMedia(getMediaSource()));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Local files are handed to ffmpeg as plain paths, anything else (http(s), HLS, rtsp...) as the URL.
+function getMediaSource() {
     const url = core.status.url;
-    if (!url.startsWith("file://")) {
-        throw new Error(`Subtitle generation doesn't work with non-local file ${url}.`);
+    if (!url) {
+        throw new Error("No media is currently loaded.");
+    }
+    if (url.startsWith("file://")) {
+        return url.substring(7);
+    }
+    if (!REMOTE_URL_REGEX.test(url)) {
+        throw new Error(`Unsupported media location ${url}.`);
+    }
+    return url;
+}
+
+// An explicit language preference wins; with "auto" the language tag of the transcribed (or else the
+// selected) audio track is used as a hint when available, and the model detects the language otherwise.
+export function getRequestedLanguage(audioTrack = null) {
+    const configured = normalizeLanguage(preferences.get("language"));
+    if (configured) {
+        return configured;
+    }
+    if (preferences.get("language_from_track") !== false) {
+        try {
+            const trackLanguage = normalizeLanguage(audioTrack ? audioTrack.lang : core.audio.currentTrack?.lang);
+            if (trackLanguage) {
+                return trackLanguage;
+            }
+        } catch (error) {
+            console.warn(`Unable to read audio track language: ${error.message}`);
+        }
+    }
+    return "auto";
+}
+
+// Audio tracks embedded in the media, with the ffmpeg stream index needed for "-map". External audio
+// files loaded into IINA cannot be mapped from the media input and are left out.
+export function listAudioTracks() {
+    try {
+        return (mpv.getNative("track-list") || [])
+            .filter(track => track.type === "audio" && !track.external)
+            .map((track, ordinal) => ({
+                id: track.id,
+                streamIndex: typeof track["ff-index"] === "number" ? track["ff-index"] : null,
+                ordinal,
+                lang: track.lang || null,
+                title: track.title || null,
+                selected: Boolean(track.selected),
+            }));
+    } catch (error) {
+        console.warn(`Unable to read the audio track list: ${error.message}`);
+        return [];
+    }
+}
+
+// Returns null for media with a single audio track, so ffmpeg keeps its default stream selection and
+// existing cache entries stay valid.
+export function resolveAudioTrack(trackId = null) {
+    const tracks = listAudioTracks();
+    if (tracks.length < 2) {
+        return null;
+    }
+    const track = trackId !== null && trackId !== undefined
+        ? tracks.find(candidate => candidate.id === trackId)
+        : tracks.find(candidate => candidate.selected);
+    if (trackId !== null && trackId !== undefined && !track) {
+        throw new Error(`Audio track ${trackId} is not available in the current media.`);
+    }
+    return track || tracks[0];
+}
+
+export function buildAudioMapArgs(audioTrack) {
+    if (!audioTrack) {
+        return [];
+    }
+    return ['-map', audioTrack.streamIndex !== null ? `0:${audioTrack.streamIndex}` : `0:a:${audioTrack.ordinal}`];
+}
+
+export function detectLanguageInOutput(output) {
+    const matches = Array.from(`${output || ""}`.matchAll(LANGUAGE_DETECTION_REGEX));
+    return matches.length > 0 ? normalizeLanguage(matches[matches.length - 1][1]) : null;
+}
+
+function isRemoteSource(source) {
+    return REMOTE_URL_REGEX.test(source);
+}
+
+// `complete` tells whether the result covers the whole media.
+export function mergeWithArchivedTranscript(segments, range, cacheInfo) {
+    const archived = findMergeTarget(cacheInfo);
+    const complete = coversWholeMedia(range) || Boolean(archived && !archived.descriptor.partial);
+    if (!archived) {
+        return {segments, complete};
+    }
+    return {segments: mergeOutsideRange(segments, range, archived), complete};
+}
+
+function mergeOutsideRange(segments, range, archived) {
+    const endMs = range.endMs ?? Number.POSITIVE_INFINITY;
+    const existing = readArchivedSegments(archived) || parseSubtitleFile(file.read(archived.path) || "", archived.path);
+    const kept = existing.filter(segment => segment.endMs <= range.startMs || segment.startMs >= endMs);
+    console.log(`[Whisperina] Merging ${segments.length} new segment(s) into ${kept.length} archived segment(s) from ${archived.path}.`);
+    return kept.concat(segments).sort((a, b) => a.startMs - b.startMs);
+}
+
+// Only merges into a transcript made the same way, so a range transcribed with another model or
+// backend never fills the gaps of an existing one, a translation never those of a transcript and a
+// dub never those of the original.
+function findMergeTarget(cacheInfo) {
+    return listArchivedTranscripts(cacheInfo.fingerprint)
+        .find(entry => ["backend", "model", "language", "task", "audioStream"]
+            .every(key => entry.descriptor?.[key] === cacheInfo.descriptor[key])) || null;
+}
+
+// The newest transcript of the same audio stream that has speaker labels, from any backend.
+function findSpeakerReference(cacheInfo) {
+    return listArchivedTranscripts(cacheInfo.fingerprint)
+        .filter(entry => entry.descriptor?.audioStream === cacheInfo.descriptor.audioStream)
+        .find(entry => (readArchivedSegments(entry) || []).some(segment => segment.speaker)) || null;
+}
+
+function coversWholeMedia(range) {
+    if (range.startMs > 0) {
+        return false;
+    }
+    const mediaDurationMs = getMediaDurationMs();
+    return range.endMs === null || range.endMs === undefined || Boolean(mediaDurationMs && range.endMs >= mediaDurationMs);
+}
+
+// Silence is looked for in the extracted audio, whose timeline starts at the job's offset. Without
+// it the phrase and repetition filters still run.
+async function filterTranscript(segments, wavPath, job) {
+    const options = getFilterOptions();
+    if (!options.enabled) {
+        return segments;
+    }
+    let silences = [];
+    const progress = createProgress("Checking for silence", job.audioMs);
+    try {
+        const {stderr} = await execForJob(job, getFfmpegPath(), [
+            "-hide_banner", ...FFMPEG_PROGRESS_ARGS, "-i", wavPath,
+            "-af", `silencedetect=noise=${options.noiseDb}dB:d=${options.minSilenceMs / 1000}`,
+            "-f", "null", "-",
+        ], null, createFfmpegProgressHook(progress.update));
+        silences = parseSilenceDetectOutput(stderr, job.offsetMs);
+        // Kept with the raw output, so a re-render can filter again without the audio.
+        job.silences = silences;
+    } catch (error) {
+        if (job.cancelled) {
+            throw error;
+        }
+        console.warn(`[Whisperina] Silence detection failed: ${error.message}`);
+    } finally {
+        progress.stop();
+    }
+    const {segments: filtered, summary} = filterHallucinations(segments, {silences, blocklist: options.blocklist});
+    console.log(`[Whisperina] Hallucination filter removed ${describeFilterSummary(summary)} (${silences.length} stretch(es) of silence detected).`);
+    return filtered;
+}
+
+function formatRange(range) {
+    const end = range.endMs === null || range.endMs === undefined ? "end" : formatTimestamp(range.endMs);
+    return `${formatTimestamp(range.startMs)} to ${end}`;
+}
+
+// Accepts "hh:mm:ss", "mm:ss" or plain seconds, each with optional fractional seconds.
+export function parseUserTimestampMs(value) {
+    const parts = `${value || ""}`.trim().split(":");
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+        return null;
+    }
+    const seconds = parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    return Math.round(seconds * 1000);
+}
+
+// Everything besides the media itself that affects the generated subtitle. A cached transcript is
+// reused when all but the render settings match; ranged runs are flagged so they never satisfy a
+// request for the whole file.
+export function describeTranscription(mode, model, range = null, translate = false, language = "auto", audioTrack = null) {
+    const profile = mode === "openai" ? getOpenAIProfile(getOpenAIProfileId(model)) : null;
+    const descriptor = {
+        backend: mode,
+        model: profile ? getOpenAIModel(profile, translate) : model,
+        language,
+        format: getSubtitleFormat(),
+    };
+    if (range) {
+        descriptor.partial = true;
+    }
+    if (audioTrack) {
+        descriptor.audioStream = audioTrack.streamIndex !== null ? audioTrack.streamIndex : `a:${audioTrack.ordinal}`;
+    }
+    if (translate) {
+        descriptor.task = "translate";
+    }
+    if (mode !== "openai" && !isWordTimingEnabled()) {
+        descriptor.wordTimestamps = false;
+    }
+    describeRenderSettings(descriptor);
+    if (profile) {
+        descriptor.options = {
+            endpoint: profile.endpoint,
+            responseFormat: profile.responseFormat,
+            chunking: profile.chunkingStrategy,
+            stream: profile.capabilities.streaming && !translate,
+        };
+        // Only set for named profiles and non-default settings, so transcripts archived before
+        // profiles existed keep matching the default profile.
+        if (profile.id !== DEFAULT_PROFILE_ID) {
+            descriptor.options.profile = profile.id;
+        }
+        if (profile.extraFields.length > 0) {
+            descriptor.options.extraFields = profile.extraFields;
+        }
+        if (profile.capabilities.wordTimestamps) {
+            descriptor.options.wordTimestamps = true;
+        }
+        if (translate && profile.translationEndpoint) {
+            descriptor.options.translationEndpoint = profile.translationEndpoint;
+        }
+    } else {
+        descriptor.options = mode === "whisper_cli" ? getCliOptions() : getServerOptions();
+    }
+    return descriptor;
+}
+
+// The settings applied after the backend has answered: filtering, readability and rendering. Only
+// recorded when not the default, so transcripts archived before these settings existed still match.
+// Settings of an earlier run are replaced, which is how a re-render describes its result.
+function describeRenderSettings(descriptor) {
+    RENDER_SETTING_KEYS.forEach(key => delete descriptor[key]);
+    descriptor.format = getSubtitleFormat();
+    if (getSpeakerLabelStyle() !== "prefix") {
+        descriptor.speakerLabels = getSpeakerLabelStyle();
+    }
+    const readability = getReadabilityOptions();
+    if (JSON.stringify(readability) !== JSON.stringify(DEFAULT_READABILITY_OPTIONS)) {
+        descriptor.readability = readability;
+    }
+    if (isKaraokeEnabled() && descriptor.format === "ass") {
+        descriptor.karaoke = true;
+    }
+    const filter = getFilterOptions();
+    if (JSON.stringify(filter) !== JSON.stringify(DEFAULT_FILTER_OPTIONS)) {
+        descriptor.filter = filter;
+    }
+    return descriptor;
+}
+
+// Models are checked against the hash in the catalogue, so a truncated or damaged download is offered
+// for re-download instead of being handed to whisper.cpp.
+async function downloadOrGetModel(model, job = null) {
+    if (utils.fileInPath(`@data/ggml-${model}.bin`)) {
+        core.osd(`Verifying model ${model}...`);
+        const check = await verifyModel(model);
+        if (check.verified !== false) {
+            core.osd(`Model ${model} already exists.`);
+            return;
+        }
+        console.warn(`[Whisperina] Checksum mismatch for model ${model}: expected ${check.expected}, got ${check.actual}.`);
+        if (!utils.ask(`Model ${model} is damaged or incomplete (checksum mismatch). Would you like to download it again?`)) {
+            throw new Error(`Model ${model} failed the integrity check.`);
+        }
+        deleteModel(model);
+    } else if (!utils.ask(`Model ${model} does not exist. Would you like to download it now?`)) {
+        throw Error(`No such model ${model}.`);
+    }
+    try {
+        await execWrapped(`${HOME}/bin/download-ggml-model.sh`, [model], DATA, {job});
+    } catch (error) {
+        // A partial download would otherwise pass for an installed model next time.
+        safeDeleteFile(`${DATA}/ggml-${model}.bin`);
+        throw error;
+    }
+    core.osd(`Verifying model ${model}...`);
+    const check = await verifyModel(model);
+    if (check.verified === false) {
+        deleteModel(model);
+        throw new Error(`The downloaded model ${model} failed the integrity check (expected ${check.expected}, got ${check.actual}). Please try again.`);
+    }
+    core.osd(`Model ${model} has been successfully downloaded.`);
+}
+
+async function generateTemporaryWaveFiles(fileName, job) {
+    const {range, audioTrack} = job;
+    const tempWavFile = jobPath(job, "whisper_tmp.wav");
+    const progress = createProgress(range ? `Generating temporary wave file from ${formatRange(range)}` : "Generating temporary wave file", job.audioMs);
+    try {
+        if (isRemoteSource(fileName)) {
+            return await extractRemoteAudio(fileName, tempWavFile, job, progress);
+        }
+        console.log(`[Whisperina] Running ffmpeg to produce intermediate WAV from ${fileName}${audioTrack ? ` (audio track ${audioTrack.id})` : ""}.`);
+        const args = ['-y'].concat(FFMPEG_PROGRESS_ARGS, buildRangeArgs(range), ['-i', fileName], buildAudioMapArgs(audioTrack), ['-ar', '16000', '-ac', '1', "-c:a", "pcm_s16le", tempWavFile]);
+        await execWrapped(getFfmpegPath(), args, null, {job, stdoutHook: createFfmpegProgressHook(progress.update)});
+        return tempWavFile;
+    } finally {
+        progress.stop();
+    }
+}
+
+// Length of the audio a job extracts, when the media duration is known.
+function getJobAudioMs(range) {
+    const mediaDurationMs = getMediaDurationMs();
+    const startMs = range ? range.startMs : 0;
+    const endMs = range && range.endMs !== null && range.endMs !== undefined
+        ? Math.min(range.endMs, mediaDurationMs || Number.POSITIVE_INFINITY)
+        : mediaDurationMs;
+    return endMs && Number.isFinite(endMs) ? Math.max(0, endMs - startMs) : null;
+}
+
+// Passes the position reported by `ffmpeg -progress pipe:1` on; lines may be split across chunks.
+function createFfmpegProgressHook(onTimeMs) {
+    let buffer = "";
+    return data => {
+        buffer += coerceChunkToString(data);
+        const newlineIndex = buffer.lastIndexOf("\n");
+        if (newlineIndex < 0) {
+            return;
+        }
+        const timeMs = parseFfmpegProgressTimeMs(buffer.slice(0, newlineIndex));
+        buffer = buffer.slice(newlineIndex + 1);
+        if (timeMs !== null) {
+            onTimeMs(timeMs);
+        }
+    };
+}
+
+// Input seeking: timestamps in the extracted audio start at zero, i.e. at range.startMs in media time.
+function buildRangeArgs(range) {
+    if (!range) {
+        return [];
+    }
+    const args = range.startMs > 0 ? ['-ss', formatFfmpegSeconds(range.startMs)] : [];
+    if (range.endMs !== null && range.endMs !== undefined) {
+        args.push('-to', formatFfmpegSeconds(range.endMs));
+    }
+    return args;
+}
+
+// Network reads are done as raw PCM parts so an interrupted download can resume from the exact
+// offset reached so far; the parts are joined into the WAV once the whole duration is covered.
+async function extractRemoteAudio(url, tempWavFile, job, progress) {
+    const {range, audioTrack} = job;
+    const mediaDurationMs = getMediaDurationMs();
+    if (!mediaDurationMs) {
+        throw new Error("This stream has no finite duration (is it a live stream?). Only recordings with a known length can be transcribed.");
+    }
+    const rangeStartMs = range ? range.startMs : 0;
+    const rangeEndMs = range && range.endMs !== null && range.endMs !== undefined ? Math.min(range.endMs, mediaDurationMs) : mediaDurationMs;
+    const durationMs = rangeEndMs - rangeStartMs;
+    const report = timeMs => progress.setFraction(durationMs > 0 ? (offsetMs + timeMs) / durationMs : null);
+    const timeoutMs = getRemoteTimeoutMs();
+    const deadline = Date.now() + timeoutMs;
+    const parts = [];
+    let offsetMs = 0;
+    try {
+        for (let attempt = 1; offsetMs < durationMs - REMOTE_COMPLETION_TOLERANCE_MS; attempt++) {
+            if (attempt > REMOTE_MAX_ATTEMPTS) {
+                throw new Error(`Audio extraction from ${url} kept failing after ${REMOTE_MAX_ATTEMPTS} attempts.`);
+            }
+            const remainingMs = deadline - Date.now();
+            if (remainingMs <= 0) {
+                throw new Error(`Timed out extracting audio from ${url} after ${Math.round(timeoutMs / 1000)} s. Raise the network timeout in the preferences for long recordings.`);
+            }
+            const partPath = jobPath(job, `whisper_remote_part${parts.length}.pcm`);
+            parts.push(partPath);
+            console.log(`[Whisperina] Extracting remote audio from ${formatTimestamp(offsetMs)} (attempt ${attempt}).`);
+            const args = buildRemoteExtractionArgs(url, rangeStartMs + offsetMs, durationMs - offsetMs, partPath, audioTrack);
+            const {status, stderr} = await execWithDeadline(getFfmpegPath(), args, remainingMs, job, createFfmpegProgressHook(report));
+            offsetMs += file.exists(partPath) ? Math.floor(await statFileSize(partPath) / PCM_BYTES_PER_MS) : 0;
+            if (status === 0) {
+                break;
+            }
+            const fatalReason = describeFatalStreamError(stderr);
+            if (fatalReason) {
+                throw new Error(fatalReason);
+            }
+            console.warn(`[Whisperina] Remote extraction interrupted at ${formatTimestamp(offsetMs)} (status ${status}); resuming.`);
+        }
+        const existingParts = parts.filter(part => file.exists(part));
+        if (existingParts.length === 0) {
+            throw new Error(`No audio could be extracted from ${url}.`);
+        }
+        await execWrapped(getFfmpegPath(), ['-y', '-f', 's16le', '-ar', '16000', '-ac', '1', '-i', `concat:${existingParts.join("|")}`, '-c:a', 'pcm_s16le', tempWavFile], null, {job});
+        return tempWavFile;
+    } finally {
+        parts.forEach(part => safeDeleteFile(part));
+    }
+}
+
+export function buildRemoteExtractionArgs(url, offsetMs, lengthMs, outputPath, audioTrack = null) {
+    const args = ['-y', '-nostdin'].concat(FFMPEG_PROGRESS_ARGS, ['-rw_timeout', `${REMOTE_IO_TIMEOUT_US}`]);
+    if (/^https?:/i.test(url)) {
+        args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '10');
+    }
+    if (offsetMs > 0) {
+        args.push('-ss', formatFfmpegSeconds(offsetMs));
+    }
+    return args.concat(['-i', url], buildAudioMapArgs(audioTrack), ['-t', formatFfmpegSeconds(lengthMs), '-vn', '-ar', '16000', '-ac', '1', '-f', 's16le', outputPath]);
+}
+
+export function describeFatalStreamError(stderr) {
+    const output = stderr || "";
+    if (/DRM|encrypt|decrypt|SAMPLE-AES|Widevine|FairPlay|cenc/i.test(output)) {
+        return "This stream is DRM-protected or encrypted, so its audio cannot be extracted.";
+    }
+    if (/Server returned (401|403)/i.test(output)) {
+        return "The server refused access to this stream (HTTP 401/403). It may require authentication or have expired.";
+    }
+    if (/Server returned 404/i.test(output)) {
+        return "The stream could not be found (HTTP 404).";
+    }
+    if (/Invalid data found when processing input|does not contain any stream|Output file #0 does not contain/i.test(output)) {
+        return "ffmpeg could not find an audio stream in this media.";
+    }
+    return null;
+}
+
+// utils.exec cannot be cancelled, so the deadline is enforced by a watchdog inside the shell.
+// utils.exec only returns once every process holding its pipes has exited, so the watchdog does not
+// inherit them and takes its sleep down with it when it is stopped early.
+export async function execWithDeadline(binary, args, timeoutMs, job = null, stdoutHook = null) {
+    const seconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+    const watchdog = `trap 'kill $sleeper 2>/dev/null; exit 0' TERM; sleep ${seconds} & sleeper=$!; wait $sleeper; kill -TERM $pid 2>/dev/null`;
+    const script = `"$0" "$@" & pid=$!; (${watchdog}) >/dev/null 2>&1 & watchdog=$!; wait $pid; status=$?; kill $watchdog 2>/dev/null; exit $status`;
+    return execForJob(job, "/bin/sh", ["-c", script, binary].concat(args), null, stdoutHook);
+}
+
+// utils.exec has no handle on the process it starts, so processes owned by a job are started through
+// a shell that records its PID and then execs the binary in place; cancelTranscriptions reads it back.
+async function execForJob(job, binary, args, cwd = null, stdoutHook = null, stderrHook = null) {
+    if (!job) {
+        return utils.exec(binary, args, cwd, stdoutHook, stderrHook);
+    }
+    throwIfCancelled(job);
+    const pidPath = jobPath(job, PROCESS_PID_FILE);
+    const result = await utils.exec("/bin/sh", ["-c", 'echo $$ > "$0"; exec "$@"', pidPath, binary].concat(args), cwd, stdoutHook, stderrHook);
+    safeDeleteFile(pidPath);
+    throwIfCancelled(job);
+    return result;
+}
+
+// The whole process tree is signalled, not just the recorded shell and its children: the deadline
+// watchdog's sleep and the processes of the model download script sit further down, and any of them
+// left holding the pipes keeps utils.exec waiting.
+export async function terminateRecordedProcess(pidPath) {
+    const pid = readRecordedPid(pidPath);
+    if (!pid) {
+        return;
+    }
+    const pids = await listProcessTree(pid);
+    await utils.exec("/bin/kill", ["-TERM"].concat(pids.reverse()));
+}
+
+// Breadth first from `pid`, so descendants come after their parents.
+async function listProcessTree(pid) {
+    const pids = [`${pid}`];
+    for (let index = 0; index < pids.length; index += 1) {
+        const {stdout} = await utils.exec("/usr/bin/pgrep", ["-P", pids[index]]);
+        pids.push(...(stdout || "").split(/\s+/).filter(Boolean));
+    }
+    return pids;
+}
+
+function getRemoteTimeoutMs() {
+    const seconds = parseInt(preferences.get("remote_timeout"), 10);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 1800) * 1000;
+}
+
+async function transcribeWithWhisperServer(tempWavName, modelName, job) {
+    console.log(`[Whisperina] Starting whisper.cpp ${job.translate ? "translation" : "transcription"} with model ${modelName}.`);
+    core.osd("Waiting for whisper-server...");
+    job.usesServer = true;
+    try {
+        const server = await acquireWhisperServer(job, `${DATA}/ggml-${modelName}.bin`, getServerOptions());
+        throwIfCancelled(job);
+        const segments = await streamTranscription(server, tempWavName, job);
+        console.log("[Whisperina] whisper.cpp transcription finished.");
+        return segments;
+    } finally {
+        job.usesServer = false;
+        releaseWhisperServer(job);
+    }
+}
+
+// The warm server keeps writing to one log for every job it handles; it is emptied before each
+// request so polling it stays cheap and only shows this job's output.
+async function streamTranscription(serverInfo, wavPath, job) {
+    const livePath = jobPath(job, LIVE_SUBTITLE_FILE);
+    await resetServerLog(serverInfo);
+    // The server reports no progress of its own; the end of the latest decoded segment stands in for it.
+    const progress = createProgress(describeTask(job), job.audioMs);
+    const monitor = startLogMonitor(serverInfo.logPath, livePath, job.offsetMs, progress.update);
+    console.log("[Whisperina] Streaming captions from whisper-server log output.");
+    const wordTimestamps = isWordTimingEnabled();
+    let segments;
+    try {
+        const response = await requestTranscriptionFromServer(serverInfo, wavPath, job, wordTimestamps);
+        segments = wordTimestamps ? parseWhisperServerJson(response) : parseSrtToSegments(response || "");
+        job.raw = {format: wordTimestamps ? "whisper-server-json" : "whisper-server-srt", chunks: [{offsetMs: 0, body: response || ""}]};
+    } catch (error) {
+        // Keep whatever has been streamed so far loaded; it is still useful to the viewer.
+        await monitor.finalize(null);
+        throw error;
+    } finally {
+        progress.stop();
+    }
+    if (segments.length === 0) {
+        await monitor.finalize(null);
+        throw new Error("whisper-server returned no subtitle content.");
+    }
+    await monitor.finalize(true);
+    if (job.language === "auto" && file.exists(serverInfo.logPath)) {
+        job.detectedLanguage = detectLanguageInOutput(file.read(serverInfo.logPath) || "");
+    }
+    return segments.map(segment => shiftSegment(segment, job.offsetMs));
+}
+
+// Word timings are requested from whisper.cpp unless turned off; OpenAI-compatible endpoints have
+// their own per-profile setting.
+function isWordTimingEnabled() {
+    const value = preferences.get("word_timestamps");
+    return value === undefined || value === null ? true : Boolean(value);
+}
+
+// verbose_json segments carry their words with times in seconds.
+export function parseWhisperServerJson(body) {
+    let json;
+    try {
+        json = JSON.parse(body || "");
+    } catch (error) {
+        throw new Error(`whisper-server returned an unreadable response: ${error.message}`);
+    }
+    return (json.segments || []).map(segment => {
+        const text = (segment.text || "").trim();
+        if (!text) {
+            return null;
+        }
+        const words = joinWordPieces((segment.words || []).map(word => ({
+            text: word.word ?? word.text ?? "",
+            startMs: secondsToMs(word.start),
+            endMs: secondsToMs(word.end),
+        })));
+        return {startMs: secondsToMs(segment.start), endMs: secondsToMs(segment.end), textLines: splitTextIntoLines(text), words};
+    }).filter(Boolean);
+}
+
+// The full JSON output of whisper-cli (-ojf) lists every token with its offsets in milliseconds.
+export function parseWhisperCliJson(content) {
+    const json = JSON.parse(content || "{}");
+    return (json.transcription || []).map(entry => {
+        const text = (entry.text || "").trim();
+        if (!text) {
+            return null;
+        }
+        const words = joinWordPieces((entry.tokens || []).map(token => ({
+            text: token.text || "",
+            startMs: token.offsets?.from ?? 0,
+            endMs: token.offsets?.to ?? 0,
+        })));
+        return {startMs: entry.offsets?.from ?? 0, endMs: entry.offsets?.to ?? 0, textLines: splitTextIntoLines(text), words};
+    }).filter(Boolean);
+}
+
+// whisper.cpp reports tokens rather than words: a piece that does not start with a space continues the
+// word before it ("Obstruct" + "ive", "Hello" + ","). Special tokens such as "[_BEG_]" are skipped.
+function joinWordPieces(pieces) {
+    const words = [];
+    pieces.forEach(piece => {
+        if (!piece.text.trim() || /^\[_[^\]]*\]$/.test(piece.text.trim())) {
+            return;
+        }
+        const previous = words[words.length - 1];
+        if (previous && !/^\s/.test(piece.text)) {
+            previous.text += piece.text;
+            previous.endMs = Math.max(previous.endMs, piece.endMs);
+        } else {
+            words.push({text: piece.text.trim(), startMs: piece.startMs, endMs: piece.endMs});
+        }
+    });
+    return words;
+}
+
+// The language tag in the file name lets IINA label the track; translations also get a distinct name.
+function writeSubtitleFile(segments, job, language = null, speakerNames = {}) {
+    const format = getSubtitleFormat();
+    const content = renderSegments(segments, format, {speakerNames});
+    if (!content) {
+        throw new Error("No subtitle content generated.");
+    }
+    const stem = job.translate ? "whisper_tmp.English translation.en" : language ? `whisper_tmp.wav.${language}` : "whisper_tmp.wav";
+    const subtitlePath = jobPath(job, `${stem}.${SUBTITLE_FORMATS[format].ext}`);
+    file.write(subtitlePath, content);
+    return subtitlePath;
+}
+
+function writeLiveSubtitle(livePath, segments, offsetMs = 0) {
+    file.write(livePath, renderSegmentsToSrt(segments.map(segment => shiftSegment(segment, offsetMs))));
+    return reloadSubtitleTrack(livePath);
+}
+
+async function reloadSubtitleTrack(subtitlePath) {
+    try {
+        const trackId = findExternalSubtitleTrackId(subtitlePath);
+        if (trackId === null) {
+            core.subtitle.loadTrack(subtitlePath);
+        } else {
+            mpv.command("sub-reload", [`${trackId}`]);
+        }
+    } catch (error) {
+        console.warn(`Failed to reload subtitle track: ${error.message}`);
+    }
+}
+
+function removeSubtitleTrack(subtitlePath) {
+    try {
+        const trackId = findExternalSubtitleTrackId(subtitlePath);
+        if (trackId !== null) {
+            mpv.command("sub-remove", [`${trackId}`]);
+        }
+    } catch (error) {
+        console.warn(`Failed to remove subtitle track: ${error.message}`);
+    }
+}
+
+function findExternalSubtitleTrackId(subtitlePath) {
+    const tracks = mpv.getNative("track-list") || [];
+    const match = tracks.find(track => track.type === "sub" && track["external-filename"] === subtitlePath);
+    return match ? match.id : null;
+}
+
+export function getTranscriberMode() {
+    const modeRaw = preferences.get("transcriber_mode");
+    const mode = (modeRaw === undefined || modeRaw === null ? "whisper_server" : `${modeRaw}`).trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(TRANSCRIBER_MODE_NAMES, mode) ? mode : "whisper_server";
+}
+
+// Provider items of the OpenAI backend are "openai:<profile id>"; a plain "openai" is the default profile.
+function getOpenAIProfileId(model) {
+    return `${model || ""}`.startsWith("openai:") ? model.slice("openai:".length) : DEFAULT_PROFILE_ID;
+}
+
+export function isOpenAIMode() {
+    return getTranscriberMode() === "openai";
+}
+
+async function transcribeWithWhisperCli(tempWavName, modelName, job) {
+    console.log(`[Whisperina] Starting whisper-cli ${job.translate ? "translation" : "transcription"} with model ${modelName}.`);
+    const cliPath = getWhisperCliPath();
+    // whisper-cli appends the format extension to the -of base name.
+    const outputBase = jobPath(job, "whisper_tmp.cli");
+    const cliOutputPath = `${outputBase}.srt`;
+    const cliJsonPath = `${outputBase}.json`;
+    const livePath = jobPath(job, LIVE_SUBTITLE_FILE);
+    const wordTimestamps = isWordTimingEnabled();
+    safeDeleteFile(cliOutputPath);
+    safeDeleteFile(cliJsonPath);
+    const args = ['-m', `${DATA}/ggml-${modelName}.bin`, '-f', tempWavName, '-osrt', '-of', outputBase, '-pp', '-l', job.language];
+    if (wordTimestamps) {
+        args.push('-ojf');
+    }
+    if (job.translate) {
+        args.push('--translate');
+    }
+    args.push(...getCliOptions());
+    console.log(`[Whisperina] Launching whisper-cli with arguments: ${args.map(shellEscape).join(" ")}`);
+    const progress = createProgress(describeTask(job), job.audioMs);
+    const monitor = createCliOutputMonitor(livePath, job.offsetMs, progress);
+    let result;
+    try {
+        result = await execForJob(job, cliPath, args, null, monitor.handleStdout, monitor.handleStderr);
+    } finally {
+        progress.stop();
+    }
+    const {status, stderr} = result;
+    if (job.language === "auto") {
+        job.detectedLanguage = detectLanguageInOutput(stderr);
+    }
+    if (status !== 0 || !file.exists(cliOutputPath)) {
+        console.error(`whisper-cli failed: ${stderr}`);
+        throw new Error(`whisper-cli failed with status ${status}. Check your CLI path and options.`);
+    }
+    let segments = null;
+    if (wordTimestamps && file.exists(cliJsonPath)) {
+        try {
+            const content = file.read(cliJsonPath);
+            segments = parseWhisperCliJson(content);
+            job.raw = {format: "whisper-cli-json", chunks: [{offsetMs: 0, body: content}]};
+        } catch (error) {
+            console.warn(`[Whisperina] Unable to read whisper-cli word timings, using the SRT output: ${error.message}`);
+        }
+    }
+    if (!segments) {
+        const content = file.read(cliOutputPath) || "";
+        segments = parseSrtToSegments(content);
+        job.raw = {format: "whisper-cli-srt", chunks: [{offsetMs: 0, body: content}]};
+    }
+    segments = segments.map(segment => shiftSegment(segment, job.offsetMs));
+    safeDeleteFile(cliOutputPath);
+    safeDeleteFile(cliJsonPath);
+    removeSubtitleTrack(livePath);
+    safeDeleteFile(livePath);
+    console.log("[Whisperina] whisper-cli transcription finished.");
+    return segments;
+}
+
+// whisper-cli prints each segment to stdout as it is decoded and "-pp" progress lines to stderr; both
+// move the progress on.
+export function createCliOutputMonitor(livePath, offsetMs, progress) {
+    const seen = new Set();
+    const segments = [];
+    let stdoutBuffer = "";
+    let lastReloadAt = 0;
+
+    function handleStdout(data) {
+        stdoutBuffer += coerceChunkToString(data);
+        const newlineIndex = stdoutBuffer.lastIndexOf("\n");
+        if (newlineIndex < 0) {
+            return;
+        }
+        const complete = stdoutBuffer.slice(0, newlineIndex);
+        stdoutBuffer = stdoutBuffer.slice(newlineIndex + 1);
+        if (!collectSegmentsFromText(complete, seen, segments)) {
+            return;
+        }
+        progress.update(Math.max(...segments.map(segment => segment.endMs)));
+        if (Date.now() - lastReloadAt >= LOG_POLL_INTERVAL_MS) {
+            lastReloadAt = Date.now();
+            writeLiveSubtitle(livePath, segments, offsetMs);
+        }
+    }
+
+    function handleStderr(data) {
+        const match = CLI_PROGRESS_REGEX.exec(coerceChunkToString(data));
+        if (match) {
+            progress.setFraction(parseInt(match[1], 10) / 100);
+        }
+    }
+
+    return {handleStdout, handleStderr};
+}
+
+async function transcribeWithOpenAI(tempWavName, job) {
+    // The translations endpoint has no streaming variant.
+    const streaming = job.profile.capabilities.streaming && !job.translate;
+    console.log(`[Whisperina] Starting OpenAI ${job.translate ? "translation" : "transcription"} with profile "${job.profile.name}" (${streaming ? "streaming" : "non-streaming"}).`);
+    const rawResponsePath = jobPath(job, "whisper_tmp.wav.srt.openai.json");
+    const livePath = jobPath(job, LIVE_SUBTITLE_FILE);
+
+    const uploads = await prepareAudioForOpenAI(tempWavName, job);
+    // Chunks are the only progress a plain upload reports; streamed segments move it on within a chunk.
+    const lastUpload = uploads[uploads.length - 1];
+    const progress = createProgress(`${describeTask(job)} with ${job.profile.name}`, lastUpload.offsetMs + lastUpload.durationMs);
+
+    try {
+        const rawResponses = [];
+        const rawChunks = [];
+        let segments = [];
+        for (const [index, upload] of uploads.entries()) {
+            if (uploads.length > 1) {
+                console.log(`[Whisperina][OpenAI] Uploading chunk ${index + 1}/${uploads.length} (offset ${formatTimestamp(upload.offsetMs)}).`);
+            }
+            const label = uploads.length > 1 ? `chunk ${index + 1}/${uploads.length}` : "upload";
+            if (uploads.length > 1) {
+                progress.setDetail(label);
+                progress.update(upload.offsetMs);
+            }
+            const previous = segments;
+            const chunkSegments = await withOpenAIRetries(job, label, async () => {
+                if (streaming) {
+                    const handler = createOpenAIStreamHandler(upload.durationMs, (partial) => {
+                        progress.update(upload.offsetMs + Math.max(...partial.map(segment => segment.endMs)));
+                        const merged = mergeChunkSegments(previous, partial.map(segment => shiftSegment(segment, upload.offsetMs)), upload.offsetMs);
+                        return writeLiveSubtitle(livePath, merged, job.offsetMs);
+                    });
+                    await executeOpenAIStreamingRequest(upload, handler, job);
+                    await handler.waitForFlush();
+                    const dump = handler.toRawDump();
+                    rawResponses.push({offset_ms: upload.offsetMs, body: JSON.stringify(dump, null, 2)});
+                    rawChunks.push({offsetMs: upload.offsetMs, durationMs: upload.durationMs, body: redactSecrets(dump.raw_text)});
+                    return handler.getSegments();
+                }
+                const responseBody = await executeOpenAIRequest(upload, job);
+                rawResponses.push({offset_ms: upload.offsetMs, body: responseBody});
+                rawChunks.push({offsetMs: upload.offsetMs, durationMs: upload.durationMs, body: redactSecrets(responseBody)});
+                job.detectedLanguage = job.detectedLanguage || detectOpenAILanguage(responseBody);
+                return parseOpenAIResponse(responseBody, job.profile);
+            }, progress);
+            segments = mergeChunkSegments(segments, chunkSegments.map(segment => shiftSegment(segment, upload.offsetMs)), upload.offsetMs);
+        }
+
+        // Save raw response for debugging; error bodies may quote the key, so it is masked first.
+        file.write(rawResponsePath, redactSecrets(rawResponses.length === 1 ? rawResponses[0].body : JSON.stringify({chunks: rawResponses}, null, 2)));
+        console.log(`[Whisperina][OpenAI] Saved raw response to ${rawResponsePath}`);
+        const {diarization, wordTimestamps} = job.profile.capabilities;
+        job.raw = {format: streaming ? "openai-sse" : "openai-json", capabilities: {diarization, wordTimestamps}, chunks: rawChunks};
+
+        if (segments.length === 0) {
+            throw new Error("No subtitle content generated from API response.");
+        }
+
+        if (streaming) {
+            removeSubtitleTrack(livePath);
+            safeDeleteFile(livePath);
+        }
+        console.log("[Whisperina] OpenAI transcription finished.");
+        return numberSpeakers(segments).map(segment => shiftSegment(segment, job.offsetMs));
+    } catch (error) {
+        console.error(`[Whisperina] OpenAI transcription failed: ${redactSecrets(error.message)}`);
+        throw error;
+    } finally {
+        progress.stop();
+        uploads.filter(upload => upload.path !== tempWavName).forEach(upload => safeDeleteFile(upload.path));
+    }
+}
+
+// Retries happen per chunk, so a rate limit or a dropped connection late in a long recording does not
+// throw away the chunks that were already transcribed.
+async function withOpenAIRetries(job, label, request, progress = null) {
+    const maxRetries = getMaxRetries();
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            return await request();
+        } catch (error) {
+            if (job.cancelled || !error.retryable || attempt >= maxRetries) {
+                throw error;
+            }
+            const waitMs = getRetryDelayMs(attempt, error.retryAfterMs);
+            if (waitMs === null) {
+                throw new Error(`${error.message} The server asked to wait ${Math.ceil(error.retryAfterMs / 1000)} s before retrying.`);
+            }
+            console.warn(`[Whisperina][OpenAI] ${label} failed (${redactSecrets(error.message)}); retry ${attempt + 1}/${maxRetries} in ${waitMs} ms.`);
+            core.osd(`${error.message} Retrying ${label} in ${Math.ceil(waitMs / 1000)} s (${attempt + 1}/${maxRetries})...`);
+            if (progress) {
+                progress.pause(waitMs);
+            }
+            await sleepUnlessCancelled(job, waitMs);
+        }
+    }
+}
+
+async function sleepUnlessCancelled(job, ms) {
+    const deadline = Date.now() + ms;
+    while (Date.now() < deadline) {
+        throwIfCancelled(job);
+        await sleep(Math.min(250, deadline - Date.now()));
+    }
+    throwIfCancelled(job);
+}
+
+// verbose_json reports the detected language by name, e.g. "japanese".
+export function detectOpenAILanguage(responseBody) {
+    try {
+        return normalizeLanguage(JSON.parse(responseBody).language);
+    } catch (error) {
+        return null;
+    }
+}
+
+// The profile's capabilities decide what is taken from the response: speaker labels only from
+// diarizing models, and word timings only when they were requested.
+export function parseOpenAIResponse(responseBody, profile = null) {
+    let json;
+    try {
+        json = JSON.parse(responseBody);
+    } catch (e) {
+        // Not JSON? Maybe it is raw SRT or VTT?
+        if (responseBody.trim().startsWith("WEBVTT") || responseBody.includes("-->")) {
+            return parseSrtToSegments(responseBody);
+        }
+        console.warn("Failed to parse response as JSON, treating as plain text.", e);
+        json = {text: responseBody};
+    }
+    if (json.error) {
+        throw new Error(json.error.message || JSON.stringify(json.error));
+    }
+    const words = profile?.capabilities.wordTimestamps && Array.isArray(json.words)
+        ? json.words.map(normalizeOpenAIWord).filter(Boolean)
+        : null;
+    // Handle standard OpenAI verbose_json or similar formats
+    if (json.segments && Array.isArray(json.segments)) {
+        const segments = json.segments.map(normalizeOpenAISegment).filter(Boolean);
+        if (profile && !profile.capabilities.diarization) {
+            segments.forEach(segment => { segment.speaker = null; });
+        }
+        if (words) {
+            segments.forEach(segment => {
+                segment.words = words.filter(word => word.startMs >= segment.startMs && word.startMs < segment.endMs);
+            });
+        }
+        return segments;
+    }
+    if (words && words.length > 0) {
+        return groupWordsIntoSegments(words);
+    }
+    if (typeof json.text === "string" && json.text.trim()) {
+        // Fallback to text-only
+        return [{
+            text: json.text,
+            startMs: 0,
+            endMs: estimateDurationFromText(json.text)
+        }].map(normalizeOpenAISegment).filter(Boolean);
+    }
+    console.warn("Unknown JSON structure:", json);
+    return [];
+}
+
+function parseSrtToSegments(content) {
+    const segments = [];
+    const blocks = (content || "").replace(/\r\n/g, "\n").split(/\n\s*\n/);
+    for (const block of blocks) {
+        const lines = block.split("\n").map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => line.includes("-->"));
+        if (timingIndex < 0) {
+            continue;
+        }
+        const [startRaw, endRaw] = lines[timingIndex].split(/\s+-->\s+/);
+        const textLines = lines.slice(timingIndex + 1);
+        if (textLines.length === 0) {
+            continue;
+        }
+        segments.push({
+            startMs: parseCueTimestampMs(startRaw),
+            endMs: parseCueTimestampMs((endRaw || "").split(/\s+/)[0]),
+            textLines,
+        });
+    }
+    return segments;
+}
+
+function parseSubtitleFile(content, path) {
+    return /\.(ass|ssa)$/i.test(path) ? parseAssToSegments(content) : parseSrtToSegments(content);
+}
+
+function parseAssToSegments(content) {
+    const segments = [];
+    for (const line of (content || "").split(/\r?\n/)) {
+        if (!line.startsWith("Dialogue:")) {
+            continue;
+        }
+        // Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text (Text may contain commas).
+        const fields = line.slice("Dialogue:".length).split(",");
+        if (fields.length < 10) {
+            continue;
+        }
+        const text = fields.slice(9).join(",").replace(/\{[^}]*}/g, "");
+        segments.push({
+            startMs: parseAssTimestampMs(fields[1]),
+            endMs: parseAssTimestampMs(fields[2]),
+            textLines: text.split(/\\N/i).map(textLine => textLine.replace(/\u200b/g, "").trim()).filter(Boolean),
+            speaker: fields[4].trim() || null,
+        });
+    }
+    return segments;
+}
+
+function parseAssTimestampMs(value) {
+    const match = /^(\d+):(\d{2}):(\d{2})\.(\d{2})$/.exec((value || "").trim());
+    if (!match) {
+        return 0;
+    }
+    const [, hh, mm, ss, cs] = match;
+    return ((parseInt(hh, 10) * 60 + parseInt(mm, 10)) * 60 + parseInt(ss, 10)) * 1000 + parseInt(cs, 10) * 10;
+}
+
+function parseCueTimestampMs(value) {
+    // WebVTT uses "." as the millisecond separator and may omit the hour field.
+    const normalized = (value || "").trim().replace(".", ",");
+    return parseTimestampMs(/^\d{2}:\d{2},\d{3}$/.test(normalized) ? `00:${normalized}` : normalized);
+}
+
+function shiftSegment(segment, offsetMs) {
+    if (!offsetMs) {
+        return segment;
+    }
+    const shifted = {...segment, startMs: segment.startMs + offsetMs, endMs: segment.endMs + offsetMs};
+    if (Array.isArray(segment.words)) {
+        shifted.words = segment.words.map(word => ({...word, startMs: word.startMs + offsetMs, endMs: word.endMs + offsetMs}));
+    }
+    return shifted;
+}
+
+export function mergeChunkSegments(existing, incoming, chunkStartMs) {
+    if (existing.length === 0) {
+        return incoming;
+    }
+    incoming = reconcileChunkSpeakers(existing, incoming, chunkStartMs);
+    const overlapEndMs = Math.max(...existing.map(segment => segment.endMs));
+    const overlapping = existing.filter(segment => segment.endMs > chunkStartMs);
+    let dropped = 0;
+    const accepted = incoming.filter(segment => {
+        if (segment.startMs >= overlapEndMs) {
+            return true;
+        }
+        const key = segmentTextKey(segment);
+        const duplicate = overlapping.some(other => segmentTextKey(other) === key || overlapRatio(segment, other) > 0.5);
+        if (duplicate) {
+            dropped += 1;
+        }
+        return !duplicate;
+    });
+    if (dropped > 0) {
+        console.log(`[Whisperina][OpenAI] Dropped ${dropped} duplicate segment(s) in chunk overlap at ${formatTimestamp(chunkStartMs)}.`);
+    }
+    return existing.concat(accepted).sort((a, b) => a.startMs - b.startMs);
+}
+
+// Diarizing models label speakers per request, so "A" of one chunk need not be "A" of the next. Both
+// chunks transcribe the overlap between them, and the labels that talk at the same time there are
+// taken to be the same person. Speakers first heard in the new chunk get labels not used so far.
+function reconcileChunkSpeakers(existing, incoming, chunkStartMs) {
+    const incomingSpeakers = Array.from(new Set(incoming.map(segment => segment.speaker).filter(Boolean)));
+    if (incomingSpeakers.length === 0) {
+        return incoming;
+    }
+    const mapping = matchSpeakersByOverlap(existing, incoming, chunkStartMs);
+    const used = new Set(existing.map(segment => segment.speaker).filter(Boolean));
+    incomingSpeakers.filter(label => !mapping.has(label)).forEach(label => {
+        let candidate = label;
+        for (let suffix = 2; used.has(candidate); suffix += 1) {
+            candidate = `${label}~${suffix}`;
+        }
+        mapping.set(label, candidate);
+        used.add(candidate);
+    });
+    return incoming.map(segment => segment.speaker ? {...segment, speaker: mapping.get(segment.speaker)} : segment);
+}
+
+// Speakers are numbered per run, but their names are kept per media. The labels of a new transcript
+// are therefore matched to those of an archived one by who talks at the same time, so "Speaker 2"
+// stays the same person and keeps the name given to them; a range merged into the transcript uses
+// its numbering. Speakers it does not know get numbers it does not use.
+export function alignSpeakersWithArchive(segments, entry) {
+    if (!entry || !segments.some(segment => segment.speaker)) {
+        return segments;
+    }
+    const archived = readArchivedSegments(entry) || [];
+    const mapping = matchSpeakersByOverlap(archived, segments);
+    const used = new Set(archived.map(segment => segment.speaker).filter(Boolean).concat(Array.from(mapping.values())));
+    let next = 1;
+    segments.forEach(segment => {
+        if (segment.speaker && !mapping.has(segment.speaker)) {
+            while (used.has(`Speaker ${next}`)) {
+                next += 1;
+            }
+            mapping.set(segment.speaker, `Speaker ${next}`);
+            used.add(`Speaker ${next}`);
+        }
+    });
+    return segments.map(segment => segment.speaker ? {...segment, speaker: mapping.get(segment.speaker)} : segment);
+}
+
+// Maps each incoming label to the existing label it shares the most speaking time with; every
+// existing label is given out once at most.
+function matchSpeakersByOverlap(existing, incoming, fromMs = Number.NEGATIVE_INFINITY) {
+    const overlapping = existing.filter(segment => segment.speaker && segment.endMs > fromMs);
+    const votes = [];
+    incoming.filter(segment => segment.speaker).forEach(segment => {
+        overlapping.forEach(other => {
+            const sharedMs = Math.min(segment.endMs, other.endMs) - Math.max(segment.startMs, other.startMs);
+            if (sharedMs > 0) {
+                votes.push({from: segment.speaker, to: other.speaker, sharedMs});
+            }
+        });
+    });
+    const totals = new Map();
+    votes.forEach(({from, to, sharedMs}) => {
+        const key = JSON.stringify([from, to]);
+        totals.set(key, (totals.get(key) || 0) + sharedMs);
+    });
+    const mapping = new Map();
+    const taken = new Set();
+    Array.from(totals.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([key]) => JSON.parse(key))
+        .forEach(([from, to]) => {
+            if (!mapping.has(from) && !taken.has(to)) {
+                mapping.set(from, to);
+                taken.add(to);
+            }
+        });
+    return mapping;
+}
+
+// Backends label speakers "A", "speaker_0" and the like; they are numbered by first appearance
+// instead, which is also what the speaker names of a media are keyed by.
+function numberSpeakers(segments) {
+    const numbers = new Map();
+    return segments.map(segment => {
+        if (!segment.speaker) {
+            return segment;
+        }
+        if (!numbers.has(segment.speaker)) {
+            numbers.set(segment.speaker, `Speaker ${numbers.size + 1}`);
+        }
+        return {...segment, speaker: numbers.get(segment.speaker)};
+    });
+}
+
+function segmentTextKey(segment) {
+    return (segment.textLines || []).join(" ").toLowerCase().replace(/[\s.,!?;:"'\u2026-]+/g, " ").trim();
+}
+
+function overlapRatio(segment, other) {
+    const duration = Math.max(1, segment.endMs - segment.startMs);
+    const overlap = Math.min(segment.endMs, other.endMs) - Math.max(segment.startMs, other.startMs);
+    return Math.max(0, overlap) / duration;
+}
+
+async function prepareAudioForOpenAI(wavPath, job) {
+    const currentSize = await statFileSize(wavPath);
+    const durationMs = estimateWavDurationMs(currentSize);
+    console.log(`[Whisperina][OpenAI] Source WAV size: ${formatMegabytes(currentSize)} MB.`);
+    if (currentSize <= OPENAI_SIZE_LIMIT_BYTES) {
+        return [{path: wavPath, mime: "audio/wav", offsetMs: 0, durationMs}];
+    }
+
+    for (const profile of OPENAI_AUDIO_PROFILES) {
+        const outputPath = jobPath(job, `whisper_tmp_openai.${profile.ext}`);
+        console.log(`[Whisperina][OpenAI] Audio exceeds 25 MB, re-encoding using ${profile.description}.`);
+        const progress = createProgress(`Compressing audio for upload (${profile.description})`, durationMs);
+        try {
+            await convertAudioWithFfmpeg(wavPath, outputPath, profile, null, job, progress.update);
+        } finally {
+            progress.stop();
+        }
+        const newSize = await statFileSize(outputPath);
+        console.log(`[Whisperina][OpenAI] ${profile.ext.toUpperCase()} size: ${formatMegabytes(newSize)} MB.`);
+        if (newSize <= OPENAI_SIZE_LIMIT_BYTES) {
+            console.log(`[Whisperina][OpenAI] Selected ${profile.description} for upload.`);
+            return [{path: outputPath, mime: profile.mime, offsetMs: 0, durationMs}];
+        }
+        safeDeleteFile(outputPath);
+        console.log(`[Whisperina][OpenAI] ${profile.description} still exceeds 25 MB, trying next profile...`);
+    }
+
+    return splitAudioForOpenAI(wavPath, durationMs, OPENAI_AUDIO_PROFILES[OPENAI_AUDIO_PROFILES.length - 1], job);
+}
+
+async function splitAudioForOpenAI(wavPath, totalMs, profile, job) {
+    if (!totalMs) {
+        throw new Error("Unable to determine audio duration for chunked upload.");
+    }
+    // Keep chunks comfortably below the limit; the profile bitrate is only nominal.
+    const chunkMs = Math.floor(OPENAI_SIZE_LIMIT_BYTES * 0.9 / profileBytesPerMs(profile)) - OPENAI_CHUNK_OVERLAP_MS;
+    const chunkCount = Math.ceil(totalMs / chunkMs);
+    console.log(`[Whisperina][OpenAI] Splitting ${formatTimestamp(totalMs)} of audio into ${chunkCount} chunk(s) using ${profile.description}.`);
+    const uploads = [];
+    const progress = createProgress("Preparing audio", totalMs);
+    try {
+        for (let index = 0; index < chunkCount; index++) {
+            const offsetMs = index * chunkMs;
+            const lengthMs = Math.min(chunkMs + OPENAI_CHUNK_OVERLAP_MS, totalMs - offsetMs);
+            const outputPath = jobPath(job, `whisper_tmp_openai_chunk${index}.${profile.ext}`);
+            progress.setDetail(`chunk ${index + 1}/${chunkCount}`);
+            await convertAudioWithFfmpeg(wavPath, outputPath, profile, {offsetMs, lengthMs}, job, timeMs => progress.update(offsetMs + timeMs));
+            uploads.push({path: outputPath, mime: profile.mime, offsetMs, durationMs: lengthMs});
+            const size = await statFileSize(outputPath);
+            if (size > OPENAI_SIZE_LIMIT_BYTES) {
+                throw new Error(`Audio chunk ${index + 1} is still larger than 25 MB (${formatMegabytes(size)} MB).`);
+            }
+        }
+    } catch (error) {
+        uploads.forEach(upload => safeDeleteFile(upload.path));
+        throw error;
+    } finally {
+        progress.stop();
     }
-    const fileName = url.substring(7);
-    core.osd("Generating temporary wave file...");
-    const tempWavFile = await generateTemporaryWaveFiles(fileName);
-    console.log(`[Whisperina] Temporary WAV ready at ${tempWavFile}.`);
+    return uploads;
+}
 
-    core.osd(useOpenAI ? "Transcribing with OpenAI..." : "Transcribing...");
+function profileBytesPerMs(profile) {
+    const bitrateIndex = profile.ffmpegArgs.indexOf("-b:a");
+    const bitrate = bitrateIndex >= 0 ? parseInt(profile.ffmpegArgs[bitrateIndex + 1], 10) : 48;
+    return (bitrate * 1000) / 8 / 1000;
+}
 
-    const subtitlePath = useOpenAI
-        ? await transcribeWithOpenAI(tempWavFile, fileName)
-        : await transcribeWithWhisperServer(tempWavFile, model, fileName);
+function estimateWavDurationMs(sizeBytes) {
+    // PCM as produced by generateTemporaryWaveFiles, minus the 44 byte header.
+    return sizeBytes > 44 ? Math.floor((sizeBytes - 44) / PCM_BYTES_PER_MS) : 0;
+}
 
-    core.osd("Transcription succeeded.");
-    return [subtitlePath];
+async function statFileSize(path) {
+    const output = await execWrapped("/usr/bin/stat", ["-f", "%z", path], null, {silent: true});
+    const size = parseInt(output.trim(), 10);
+    return Number.isFinite(size) ? size : 0;
 }
 
-async function downloadOrGetModel(model) {
-    if (utils.fileInPath(`@data/ggml-${model}.bin`)) {
-        core.osd(`Model ${model} already exists.`);
-    } else if (utils.ask(`Model ${model} does not exist. Would you like to download it now?`)) {
-        await execWrapped(`${HOME}/bin/download-ggml-model.sh`, [model], DATA);
-        core.osd(`Model ${model} has been successfully downloaded.`);
-    } else {
-        throw Error(`No such model ${model}.`);
-    }
+async function convertAudioWithFfmpeg(inputPath, outputPath, profile, range = null, job = null, onProgressMs = null) {
+    const rangeArgs = range ? ['-ss', formatFfmpegSeconds(range.offsetMs), '-t', formatFfmpegSeconds(range.lengthMs)] : [];
+    const progressArgs = onProgressMs ? FFMPEG_PROGRESS_ARGS : [];
+    const args = ['-y'].concat(progressArgs, rangeArgs, ['-i', inputPath], profile.ffmpegArgs || [], [outputPath]);
+    await execWrapped(getFfmpegPath(), args, null, {job, stdoutHook: onProgressMs ? createFfmpegProgressHook(onProgressMs) : null});
+    return outputPath;
+}
+
+function formatFfmpegSeconds(ms) {
+    return (ms / 1000).toFixed(3);
 }
 
-async function generateTemporaryWaveFiles(fileName) {
-    const tempWavFile = utils.resolvePath("@tmp/whisper_tmp.wav");
-    console.log(`[Whisperina] Running ffmpeg to produce intermediate WAV from ${fileName}.`);
-    await execWrapped(getFfmpegPath(), ['-y', '-i', fileName, '-ar', '16000', '-ac', '1', "-c:a", "pcm_s16le", tempWavFile]);
-    return tempWavFile;
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(2);
 }
 
-async function transcribeWithWhisperServer(tempWavName, modelName, sourceMediaPath) {
-    console.log(`[Whisperina] Starting whisper.cpp transcription with model ${modelName}.`);
-    const server = await startWhisperServer(modelName);
-    const subtitlePath = utils.resolvePath("@tmp/whisper_tmp.wav.srt");
+function safeDeleteFile(path) {
     try {
-        await streamTranscription(server, tempWavName, subtitlePath);
-        await persistSubtitleCopy(subtitlePath, sourceMediaPath);
-        console.log("[Whisperina] whisper.cpp transcription finished.");
-        return subtitlePath;
-    } finally {
-        await stopWhisperServer(server);
+        if (path && file.exists(path)) {
+            file.delete(path);
+        }
+    } catch (error) {
+        console.warn(`Unable to delete temporary file ${path}: ${error.message}`);
     }
 }
 
-async function transcribeWithOpenAI(tempWavName, sourceMediaPath) {
-    console.log("[Whisperina] Starting OpenAI transcription (non-streaming).");
-    const subtitlePath = utils.resolvePath("@tmp/whisper_tmp.wav.srt");
-    const rawResponsePath = `${subtitlePath}.openai.json`;
-
-    const preparedAudio = await prepareAudioForOpenAI(tempWavName);
-
-    try {
-        const responseBody = await executeOpenAIRequest(preparedAudio);
+async function executeOpenAIRequest(upload, job) {
+    const {translate, profile} = job;
+    const apiKey = await requireOpenAIKey(profile);
+    const baseUrl = getOpenAIEndpoint(profile, translate);
+    const model = getOpenAIModel(profile, translate);
+    // Segments are needed for timing: verbose_json in general, diarized_json for diarizing models.
+    // Word timings are only part of verbose_json.
+    const diarize = profile.capabilities.diarization && !translate;
+    let responseFormat = profile.responseFormat;
+    if (!responseFormat || (responseFormat === "diarized_json" && !diarize)) {
+        responseFormat = diarize ? "diarized_json" : "verbose_json";
+    }
+    const wordTimestamps = profile.capabilities.wordTimestamps && !translate && responseFormat === "verbose_json";
 
-        // Save raw response for debugging
-        file.write(rawResponsePath, responseBody);
-        console.log(`[Whisperina][OpenAI] Saved raw response to ${rawResponsePath}`);
+    console.log(`[Whisperina][OpenAI] Request -> profile=${profile.name}, model=${model}, response_format=${responseFormat}, endpoint=${redactSecrets(baseUrl)}`);
 
-        let srtContent = "";
+    // Body and headers go to files so that only the status code (-w) is left on stdout. -f is not
+    // used: it would discard the error body that explains what went wrong.
+    const bodyPath = jobPath(job, "openai_response.body");
+    const headersPath = jobPath(job, "openai_response.headers");
+    const authPath = jobPath(job, "openai_auth.header");
+    const args = [
+        "curl",
+        "-sS",
+        ...buildTimeoutArgs(),
+        "-D", headersPath,
+        "-o", bodyPath,
+        "-w", "%{http_code}",
+        "-X", "POST",
+        baseUrl,
+        ...await writeAuthorizationHeader(authPath, apiKey),
+        "-F", `file=@${upload.path}`,
+        "-F", `model=${model}`,
+        "-F", `response_format=${responseFormat}`,
+    ];
+    // The translations endpoint always targets English and has no language parameter.
+    if (job.language !== "auto" && !translate) {
+        args.push("-F", `language=${job.language}`);
+    }
+    if (diarize && responseFormat === "diarized_json") {
+        args.push("-F", `chunking_strategy=${profile.chunkingStrategy || "auto"}`);
+    }
+    if (wordTimestamps) {
+        args.push("-F", "timestamp_granularities[]=word", "-F", "timestamp_granularities[]=segment");
+    }
+    args.push(...buildExtraFieldArgs(profile));
 
-        // Try to parse as JSON
-        try {
-            const json = JSON.parse(responseBody);
-            // Handle standard OpenAI verbose_json or similar formats
-            if (json.segments && Array.isArray(json.segments)) {
-                 const segments = json.segments.map(normalizeOpenAISegment).filter(Boolean);
-                 srtContent = renderSegmentsToSrt(segments);
-            } else if (json.text) {
-                // Fallback to text-only
-                 const segments = [{
-                    text: json.text,
-                    startMs: 0,
-                    endMs: estimateDurationFromText(json.text)
-                }].map(normalizeOpenAISegment);
-                srtContent = renderSegmentsToSrt(segments);
-            } else if (json.error) {
-                throw new Error(json.error.message || JSON.stringify(json.error));
-            } else {
-                 // Unknown JSON structure, maybe it IS srt wrapped in JSON? Unlikely.
-                 // If response_format was srt, we wouldn't be here (parsing would likely fail or it would be a string).
-                 console.warn("Unknown JSON structure:", json);
-            }
-        } catch (e) {
-            // Not JSON? Maybe it is raw SRT or VTT?
-            if (responseBody.trim().startsWith("WEBVTT") || responseBody.includes("-->")) {
-                 srtContent = responseBody;
-            } else {
-                 // Maybe it failed to parse JSON but wasn't SRT.
-                 // Re-throw if it wasn't a "valid but not JSON" case?
-                 // Actually if responseBody is just text, maybe treat as text?
-                 console.warn("Failed to parse response as JSON, treating as text/srt if possible.", e);
-                 if (responseBody.length > 0) {
-                     srtContent = responseBody;
-                 }
-            }
+    try {
+        const result = await execForJob(job, "/usr/bin/env", args);
+        const body = readOptionalFile(bodyPath);
+        const {headers} = parseResponseHeaders(readOptionalFile(headersPath));
+        const statusCode = parseInt((result.stdout || "").trim(), 10) || null;
+        if (result.status !== 0 || !statusCode || statusCode >= 300) {
+            throw createRequestError({profileName: profile.name, curlStatus: result.status, statusCode, body, headers});
         }
+        return body;
+    } finally {
+        safeDeleteFile(authPath);
+        safeDeleteFile(bodyPath);
+        safeDeleteFile(headersPath);
+    }
+}
 
-        if (!srtContent) {
-            throw new Error("No subtitle content generated from API response.");
-        }
+function readOptionalFile(path) {
+    return file.exists(path) ? file.read(path) || "" : "";
+}
 
-        file.write(subtitlePath, srtContent);
-        await persistSubtitleCopy(subtitlePath, sourceMediaPath);
-        console.log("[Whisperina] OpenAI transcription finished.");
-        return subtitlePath;
-    } catch (error) {
-        console.error(`[Whisperina] OpenAI transcription failed: ${error.message}`);
-        throw error;
+// Translations go to the profile's translationEndpoint, or else to the sibling of a .../transcriptions
+// endpoint. Anything else would quietly transcribe instead, so it is an error.
+export function getOpenAIEndpoint(profile, translate = false) {
+    if (!translate) {
+        return profile.endpoint;
+    }
+    if (profile.translationEndpoint) {
+        return profile.translationEndpoint;
     }
+    if (!/\/transcriptions\/?$/.test(profile.endpoint)) {
+        throw new Error(`${profile.name}: cannot derive a translations URL from ${profile.endpoint}. Add a "translationEndpoint" to the profile or use an endpoint ending in /transcriptions.`);
+    }
+    return profile.endpoint.replace(/\/transcriptions\/?$/, "/translations");
+}
+
+// OpenAI only offers translation with whisper-1, so translations use their own model setting.
+function getOpenAIModel(profile, translate = false) {
+    return translate ? profile.translationModel : profile.model;
 }
 
-async function executeOpenAIRequest(upload) {
-    const apiKey = (preferences.get("openai_api_key") || "").trim();
-    if (!apiKey) {
+// Self-hosted servers commonly run without authentication, so only the default profile requires a key.
+async function requireOpenAIKey(profile) {
+    const apiKey = await resolveApiKey(profile);
+    if (!apiKey && profile.id === DEFAULT_PROFILE_ID) {
         throw new Error("OpenAI API key is not configured. Please update the preferences page.");
     }
-    const baseUrl = (preferences.get("openai_base_url") || "https://api.openai.com/v1/audio/transcriptions").trim();
-    const model = (preferences.get("openai_model") || "gpt-4o-transcribe-diarize").trim();
-    // Default to verbose_json to get segments
-    let responseFormat = (preferences.get("openai_response_format") || "").trim();
-    if (!responseFormat || responseFormat === "diarized_json") {
-         // diarized_json was for the streaming custom backend; fallback to verbose_json for standard compatibility
-         // or if the custom backend supports verbose_json with diarization.
-         responseFormat = "verbose_json";
+    return apiKey;
+}
+
+function buildExtraFieldArgs(profile) {
+    return profile.extraFields.flatMap(([key, value]) => ["-F", `${key}=${value}`]);
+}
+
+async function executeOpenAIStreamingRequest(upload, handler, job) {
+    const {profile} = job;
+    const apiKey = await requireOpenAIKey(profile);
+    const baseUrl = getOpenAIEndpoint(profile);
+    const model = getOpenAIModel(profile);
+    // Streaming is only offered by the gpt-4o family, which does not accept verbose_json.
+    let responseFormat = profile.responseFormat;
+    if (!responseFormat || responseFormat === "verbose_json") {
+        responseFormat = profile.capabilities.diarization ? "diarized_json" : "json";
     }
+    const chunkingStrategy = profile.chunkingStrategy;
 
-    console.log(`[Whisperina][OpenAI] Request -> model=${model}, response_format=${responseFormat}, endpoint=${baseUrl}`);
+    console.log(`[Whisperina][OpenAI] Streaming request -> profile=${profile.name}, model=${model}, response_format=${responseFormat}, chunking=${chunkingStrategy || "default"}, endpoint=${redactSecrets(baseUrl)}`);
 
+    const headersPath = jobPath(job, "openai_response.headers");
+    const authPath = jobPath(job, "openai_auth.header");
     const args = [
         "curl",
-        "-sS",
+        "-sSN",
+        ...buildTimeoutArgs(),
+        "-D", headersPath,
         "-X", "POST",
         baseUrl,
-        "-H", `Authorization: Bearer ${apiKey}`,
+        ...await writeAuthorizationHeader(authPath, apiKey),
+        "-H", "Accept: text/event-stream",
         "-F", `file=@${upload.path}`,
         "-F", `model=${model}`,
         "-F", `response_format=${responseFormat}`,
+        "-F", "stream=true",
     ];
+    if (chunkingStrategy) {
+        args.push("-F", `chunking_strategy=${chunkingStrategy}`);
+    }
+    if (job.language !== "auto") {
+        args.push("-F", `language=${job.language}`);
+    }
+    args.push(...buildExtraFieldArgs(profile));
+    try {
+        const result = await execForJob(job, "/usr/bin/env", args, null, handler.handleChunk, handler.handleError);
+        handler.finalize();
+        const {statusCode, headers} = parseResponseHeaders(readOptionalFile(headersPath));
+        const streamError = handler.getStreamError();
+        if (result.status !== 0 || (statusCode && statusCode >= 300) || streamError) {
+            throw createRequestError({
+                profileName: profile.name,
+                curlStatus: result.status,
+                statusCode,
+                body: handler.toRawDump().raw_text,
+                headers,
+                apiError: streamError,
+            });
+        }
+    } finally {
+        safeDeleteFile(authPath);
+        safeDeleteFile(headersPath);
+        // A cancelled or failed request must not update the live subtitle after the fact.
+        handler.stop();
+    }
+}
 
-    const stdout = await execWrapped("/usr/bin/env", args, null, {silent: true});
-    return stdout;
+export function createOpenAIStreamHandler(durationMs, onUpdate) {
+    let buffer = "";
+    let rawText = "";
+    let transcriptText = "";
+    let textDone = false;
+    let structuredError = null;
+    const rawEvents = [];
+    // Diarizing models stream timed segments; plain models only stream text deltas.
+    const timedSegments = new Map();
+    let flushTimer = null;
+    let flushChain = Promise.resolve();
+
+    function handleChunk(data) {
+        const chunk = coerceChunkToString(data);
+        if (!chunk) {
+            return;
+        }
+        rawText += chunk;
+        buffer += chunk;
+        processBuffer(false);
+    }
+
+    function handleError(data) {
+        const message = coerceChunkToString(data);
+        if (message.trim().length > 0) {
+            console.warn(`OpenAI stream stderr: ${redactSecrets(message)}`);
+        }
+    }
+
+    function finalize() {
+        processBuffer(true);
+        maybeRecordNonSseError();
+    }
+
+    function processBuffer(force) {
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
+            const line = buffer.slice(0, newlineIndex).trim();
+            buffer = buffer.slice(newlineIndex + 1);
+            processLine(line);
+        }
+        if (force && buffer.trim().length > 0) {
+            processLine(buffer.trim());
+            buffer = "";
+        }
+    }
+
+    function processLine(line) {
+        if (!line || !line.startsWith("data:")) {
+            return;
+        }
+        const payload = line.slice(5).trim();
+        const entry = {timestamp: new Date().toISOString(), payload};
+        rawEvents.push(entry);
+        if (!payload || payload === "[DONE]") {
+            return;
+        }
+        try {
+            entry.parsed = JSON.parse(payload);
+        } catch (error) {
+            entry.parse_error = error.message;
+            console.warn(`Unable to parse OpenAI SSE payload: ${error.message}`);
+            return;
+        }
+        handleEvent(entry.parsed);
+    }
+
+    function handleEvent(event) {
+        if (!event || typeof event !== "object") {
+            return;
+        }
+        if (event.type === "transcript.text.delta" && typeof event.delta === "string") {
+            transcriptText += event.delta;
+            scheduleFlush();
+        } else if (event.type === "transcript.text.segment") {
+            const segment = normalizeOpenAISegment(event.segment || event);
+            if (segment) {
+                timedSegments.set(segment.id, segment);
+                scheduleFlush();
+            }
+        } else if (event.type === "transcript.text.done") {
+            textDone = true;
+            if (typeof event.text === "string") {
+                transcriptText = event.text;
+            }
+            if (Array.isArray(event.segments)) {
+                timedSegments.clear();
+                event.segments.map(normalizeOpenAISegment).filter(Boolean).forEach(segment => timedSegments.set(segment.id, segment));
+            }
+            console.log(`[Whisperina][OpenAI] Received final transcript (${transcriptText.length} characters).`);
+            scheduleFlush();
+        } else if ((event.type === "error" || event.type === "response.error") && (event.error || event.message)) {
+            recordStructuredError(event.error || event);
+        }
+    }
+
+    function recordStructuredError(errorObj) {
+        if (structuredError) {
+            return;
+        }
+        structuredError = {message: errorObj.message || "unknown error", code: errorObj.code || errorObj.type || null};
+        console.error(`OpenAI response error: ${redactSecrets(structuredError.message)}`);
+    }
+
+    // Request-level failures (bad key, quota) come back as a plain JSON body rather than SSE.
+    function maybeRecordNonSseError() {
+        if (structuredError || rawEvents.length > 0) {
+            return;
+        }
+        try {
+            const parsed = JSON.parse(rawText.trim());
+            if (parsed?.error) {
+                recordStructuredError(parsed.error);
+            }
+        } catch (error) {
+            // Not JSON either; the exit status will surface the failure.
+        }
+    }
+
+    function getSegments() {
+        if (timedSegments.size > 0) {
+            return Array.from(timedSegments.values()).sort((a, b) => a.startMs - b.startMs);
+        }
+        return segmentStreamedText(transcriptText, textDone ? durationMs : null);
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) {
+            return;
+        }
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flushNow();
+        }, OPENAI_STREAM_FLUSH_INTERVAL_MS);
+    }
+
+    function stop() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+    }
+
+    function flushNow() {
+        stop();
+        const segments = getSegments();
+        if (segments.length === 0) {
+            return flushChain;
+        }
+        flushChain = flushChain.then(() => onUpdate(segments)).catch(error => {
+            console.warn(`Failed to update streaming subtitles: ${error.message}`);
+        });
+        return flushChain;
+    }
+
+    return {
+        handleChunk,
+        handleError,
+        finalize,
+        getSegments,
+        stop,
+        getStreamError() {
+            return structuredError;
+        },
+        async waitForFlush() {
+            await flushNow();
+        },
+        toRawDump() {
+            return {generated_at: new Date().toISOString(), raw_text: rawText, events: rawEvents};
+        },
+    };
+}
+
+// Text deltas carry no timing, so sentences are laid out at an estimated speaking rate. Once the
+// full transcript is known the layout is stretched to the audio duration.
+function segmentStreamedText(text, durationMs) {
+    const sentences = (text || "").match(/[^.!?\u3002\uff01\uff1f]+(?:[.!?\u3002\uff01\uff1f]+["')\]]*|$)/g) || [];
+    const trimmed = sentences.map(sentence => sentence.trim()).filter(Boolean);
+    if (trimmed.length === 0) {
+        return [];
+    }
+    const estimates = trimmed.map(sentence => estimateDurationFromText(sentence));
+    const totalEstimate = estimates.reduce((sum, value) => sum + value, 0);
+    const scale = durationMs && totalEstimate > 0 ? durationMs / totalEstimate : 1;
+    let cursorMs = 0;
+    return trimmed.map((sentence, index) => {
+        const startMs = Math.round(cursorMs);
+        cursorMs += estimates[index] * scale;
+        return {
+            id: `text-${index}`,
+            startMs,
+            endMs: Math.round(cursorMs),
+            textLines: splitTextIntoLines(sentence),
+        };
+    });
+}
+
+function normalizeOpenAIWord(word) {
+    const text = `${word?.word ?? word?.text ?? ""}`.trim();
+    if (!text) {
+        return null;
+    }
+    const startMs = secondsToMs(word.start ?? 0);
+    return {text, startMs, endMs: secondsToMs(word.end ?? word.start ?? 0) || startMs};
+}
+
+// Responses with word timings but no segments are cut into cues at sentence ends and pauses.
+function groupWordsIntoSegments(words) {
+    const segments = [];
+    let current = [];
+    const flush = () => {
+        if (current.length === 0) {
+            return;
+        }
+        const text = current.map(word => word.text).join(" ");
+        segments.push({startMs: current[0].startMs, endMs: current[current.length - 1].endMs, textLines: splitTextIntoLines(text), words: current});
+        current = [];
+    };
+    words.forEach(word => {
+        const previous = current[current.length - 1];
+        if (previous && (word.startMs - previous.endMs > 1000 || current.length >= 14)) {
+            flush();
+        }
+        current.push(word);
+        if (/[.!?。！？]$/.test(word.text)) {
+            flush();
+        }
+    });
+    flush();
+    return segments;
 }
 
 function normalizeOpenAISegment(segment) {
@@ -216,13 +2060,13 @@ function normalizeOpenAISegment(segment) {
     // Standard OpenAI segments use 'id' as integer usually, but we convert to string or whatever
     const id = segment.id !== undefined ? String(segment.id) : `${startMs}-${endMs}`;
     const speaker = typeof segment.speaker === "string" ? segment.speaker.trim() : null;
-    const formattedText = speaker ? `${speaker}: ${text}` : text;
-    
+
     return {
         id,
         startMs,
         endMs,
-        textLines: splitTextIntoLines(formattedText),
+        textLines: splitTextIntoLines(text),
+        speaker: speaker || null,
     };
 }
 
@@ -259,7 +2103,7 @@ function coerceChunkToString(data) {
     return `${data}`;
 }
 
-function startLogMonitor(logPath, subtitlePath) {
+export function startLogMonitor(logPath, livePath, offsetMs = 0, onProgress = null) {
     const seen = new Set();
     const segments = [];
     let stopRequested = false;
@@ -268,10 +2112,11 @@ function startLogMonitor(logPath, subtitlePath) {
         while (!stopRequested) {
             try {
                 const updated = collectNewSegments(logPath, seen, segments);
-                if (updated) {
-                    const rendered = renderSegmentsToSrt(segments);
-                    file.write(subtitlePath, rendered);
-                    await reloadSubtitleTrack(subtitlePath);
+                if (updated && !stopRequested) {
+                    if (onProgress) {
+                        onProgress(Math.max(...segments.map(segment => segment.endMs)));
+                    }
+                    await writeLiveSubtitle(livePath, segments, offsetMs);
                 }
             } catch (error) {
                 console.warn(`Log monitor error: ${error.message}`);
@@ -281,13 +2126,16 @@ function startLogMonitor(logPath, subtitlePath) {
     })();
 
     return {
-        async finalize(finalSrt) {
+        // Without a final subtitle the partial live track stays loaded; otherwise it is removed so
+        // the track returned to IINA replaces it.
+        async finalize(completed) {
             stopRequested = true;
             await loopPromise;
-            if (finalSrt) {
-                file.write(subtitlePath, finalSrt);
-                await reloadSubtitleTrack(subtitlePath);
+            if (!completed) {
+                return;
             }
+            removeSubtitleTrack(livePath);
+            safeDeleteFile(livePath);
         },
     };
 }
@@ -296,7 +2144,10 @@ function collectNewSegments(logPath, seen, segments) {
     if (!logPath || !file.exists(logPath)) {
         return false;
     }
-    const content = file.read(logPath) || "";
+    return collectSegmentsFromText(file.read(logPath) || "", seen, segments);
+}
+
+function collectSegmentsFromText(content, seen, segments) {
     if (!content) {
         return false;
     }
@@ -320,14 +2171,15 @@ function collectNewSegments(logPath, seen, segments) {
         }
         seen.add(key);
         segments.push({
-            timing: `${convertLogTimestamp(start)} --> ${convertLogTimestamp(end)}`,
-            text: [text],
+            startMs: parseTimestampMs(convertLogTimestamp(start)),
+            endMs: parseTimestampMs(convertLogTimestamp(end)),
+            textLines: [text],
         });
         updated = true;
         addedCount += 1;
     }
     if (updated) {
-        console.log(`[Whisperina] Added ${addedCount} new whisper-server segments (total=${segments.length}).`);
+        console.log(`[Whisperina] Added ${addedCount} new whisper.cpp segments (total=${segments.length}).`);
     }
     return updated;
 }
@@ -341,54 +2193,7 @@ function convertLogTimestamp(value) {
     return `${whole},${frac}`;
 }
 
-async function startWhisperServer(modelName) {
-    const serverPath = getWhisperServerPath();
-    const host = preferences.get("wserver_host") || "127.0.0.1";
-    const port = parseInt(preferences.get("wserver_port"), 10) || 17896;
-    const logPath = utils.resolvePath("@tmp/whisper_server.log");
-    const args = ['-m', `${DATA}/ggml-${modelName}.bin`, '--host', host, '--port', `${port}`].concat(getServerOptions());
-    const command = `${shellEscape(serverPath)} ${args.map(shellEscape).join(" ")} > ${shellEscape(logPath)} 2>&1 & echo $!`;
-    console.log(`[Whisperina] Launching whisper-server via: ${command}`);
-    const stdout = await execWrapped("/bin/sh", ["-c", command], null, {silent: true});
-    const pid = parseInt(stdout.trim().split("\n").pop() || "", 10);
-    if (!Number.isFinite(pid)) {
-        throw new Error("Unable to start whisper-server. Check your server path and options.");
-    }
-    const serverInfo = {pid, host, port, baseUrl: `http://${host}:${port}`, logPath};
-    activeServerInfo = serverInfo;
-    rememberServerPid(pid);
-    try {
-        await waitForServerReady(serverInfo.baseUrl);
-        console.log("[Whisperina] whisper-server reported healthy.");
-    } catch (error) {
-        console.error(`Failed to start whisper-server (log: ${logPath})`);
-        await stopWhisperServer(serverInfo);
-        throw error;
-    }
-    return serverInfo;
-}
-
-async function waitForServerReady(baseUrl, timeoutMs = 20000) {
-    const healthUrl = `${baseUrl}/health`;
-    const deadline = Date.now() + timeoutMs;
-    let lastError;
-    while (Date.now() < deadline) {
-        try {
-            const response = await http.get(healthUrl);
-            if (response.statusCode === 200) {
-                return;
-            }
-            lastError = new Error(`Unexpected server status: ${response.statusCode}`);
-        } catch (error) {
-            lastError = error;
-        }
-        await sleep(300);
-    }
-    const reason = lastError ? lastError.message : "unknown";
-    throw new Error(`Timed out waiting for whisper-server to become ready (${reason}).`);
-}
-
-async function requestTranscriptionFromServer(serverInfo, wavPath) {
+async function requestTranscriptionFromServer(serverInfo, wavPath, job, wordTimestamps = false) {
     const inferenceUrl = `${serverInfo.baseUrl}/inference`;
     const stdout = await execWrapped("/usr/bin/env", [
         "curl",
@@ -399,61 +2204,24 @@ async function requestTranscriptionFromServer(serverInfo, wavPath) {
         "-F",
         `file=@${wavPath}`,
         "-F",
-        "response_format=srt",
+        `response_format=${wordTimestamps ? "verbose_json" : "srt"}`,
+        "-F",
+        `translate=${job.translate ? "true" : "false"}`,
+        "-F",
+        `language=${job.language}`,
         inferenceUrl,
-    ], null, {silent: true});
+    ], null, {silent: true, job});
     return stdout;
 }
 
-async function stopWhisperServer(serverInfo) {
-    const info = serverInfo || activeServerInfo;
-    const recordedPid = readRecordedServerPid();
-    const pid = info?.pid || recordedPid;
-    if (!pid) {
-        clearRecordedServerPid();
-        return;
-    }
-    try {
-        await utils.exec("/bin/kill", ["-TERM", `${pid}`]);
-        await sleep(200);
-    } catch (error) {
-        if (!/No such process/i.test(error?.message || "")) {
-            console.warn(`Failed to terminate whisper-server (pid ${pid}): ${error.message}`);
-        }
-    }
-    try {
-        await utils.exec("/bin/kill", ["-KILL", `${pid}`]);
-    } catch (error) {
-        if (!/No such process/i.test(error?.message || "")) {
-            console.warn(`Failed to force-stop whisper-server (pid ${pid}): ${error.message}`);
-        }
-    }
-    if (activeServerInfo && activeServerInfo.pid === pid) {
-        activeServerInfo = null;
-    }
-    clearRecordedServerPid();
-}
-
-async function persistSubtitleCopy(subtitlePath, mediaFile) {
-    const archiveDir = resolveArchiveDirectory();
-    if (!archiveDir) {
-        return;
-    }
-    try {
-        await execWrapped("/bin/mkdir", ["-p", archiveDir]);
-        const archiveName = `${sanitizeFileStem(mediaFile)}-${formatTimestampSuffix()}.srt`;
-        const destination = `${archiveDir}/${archiveName}`;
-        await execWrapped("/bin/cp", ["-f", subtitlePath, destination]);
-        console.log(`Stored subtitle copy at ${destination}`);
-    } catch (error) {
-        console.warn(`Failed to archive subtitle: ${error.message}`);
-    }
-}
-
 function getServerOptions() {
     return parseArgumentList(preferences.get("wserver_options"));
 }
 
+function getCliOptions() {
+    return parseArgumentList(preferences.get("wcli_options"));
+}
+
 function getFfmpegPath() {
     const ffmpegPath = preferences.get("ffmpeg_path");
     if (!utils.fileInPath(ffmpegPath)) {
@@ -478,133 +2246,6 @@ function getPluginDataPath() {
     return utils.resolvePath("@data/")
 }
 
-function getServerPidPath() {
-    try {
-        return utils.resolvePath(SERVER_PID_FILE);
-    } catch (error) {
-        console.warn(`Unable to resolve server PID file: ${error.message}`);
-        return null;
-    }
-}
-
-function rememberServerPid(pid) {
-    const pidPath = getServerPidPath();
-    if (!pidPath) {
-        return;
-    }
-    try {
-        file.write(pidPath, `${pid}`);
-    } catch (error) {
-        console.warn(`Unable to record whisper-server pid: ${error.message}`);
-    }
-}
-
-function clearRecordedServerPid() {
-    const pidPath = getServerPidPath();
-    if (!pidPath) {
-        return;
-    }
-    try {
-        if (file.exists(pidPath)) {
-            file.delete(pidPath);
-        }
-    } catch (error) {
-        console.warn(`Unable to remove PID record: ${error.message}`);
-    }
-}
-
-function readRecordedServerPid() {
-    const pidPath = getServerPidPath();
-    if (!pidPath) {
-        return null;
-    }
-    try {
-        if (!file.exists(pidPath)) {
-            return null;
-        }
-        const content = file.read(pidPath);
-        const pid = parseInt((content || "").trim(), 10);
-        return Number.isFinite(pid) ? pid : null;
-    } catch (error) {
-        console.warn(`Unable to read PID record: ${error.message}`);
-        return null;
-    }
-}
-
-function renderSegmentsToSrt(segments) {
-    if (!segments || segments.length === 0) {
-        return "";
-    }
-    const normalized = segments.map(normalizeRenderableSegment).filter(Boolean);
-    if (normalized.length === 0) {
-        return "";
-    }
-    normalized.sort((a, b) => a.startMs - b.startMs);
-    const lines = [];
-    normalized.forEach((segment, index) => {
-        lines.push(String(index + 1));
-        lines.push(`${formatTimestamp(segment.startMs)} --> ${formatTimestamp(segment.endMs)}`);
-        segment.textLines.forEach(textLine => lines.push(textLine));
-        lines.push("");
-    });
-    return lines.join("\n");
-}
-
-function normalizeRenderableSegment(segment) {
-    if (!segment) {
-        return null;
-    }
-    if (segment.timing) {
-        const [startRaw, endRaw] = segment.timing.split(/\s+-->\s+/);
-        return {
-            startMs: parseTimestampMs(startRaw),
-            endMs: parseTimestampMs(endRaw),
-            textLines: Array.isArray(segment.text) ? segment.text : Array.isArray(segment.textLines) ? segment.textLines : [segment.text || ""],
-        };
-    }
-    const startMs = typeof segment.startMs === "number" ? segment.startMs : 0;
-    const endMsCandidates = [
-        segment.endMs,
-        startMs + estimateDurationFromTextLines(segment.textLines || segment.text || []),
-    ].filter(value => typeof value === "number" && value > startMs);
-    const endMs = endMsCandidates.length > 0 ? Math.max(...endMsCandidates) : startMs + 2000;
-    const textLines = Array.isArray(segment.textLines)
-        ? segment.textLines
-        : Array.isArray(segment.text)
-            ? segment.text
-            : [segment.text || ""];
-    const filtered = textLines.filter(line => typeof line === "string" ? line.trim().length > 0 : false);
-    return {startMs, endMs, textLines: filtered.length > 0 ? filtered : [""]};
-}
-
-function resolveArchiveDirectory() {
-    const configured = preferences.get("subtitle_archive_dir");
-    if (!configured) {
-        return null;
-    }
-    try {
-        return utils.resolvePath(configured);
-    } catch (error) {
-        console.warn(`Unable to resolve archive directory "${configured}": ${error.message}`);
-        return null;
-    }
-}
-
-function sanitizeFileStem(filePath) {
-    if (!filePath) {
-        return "subtitle";
-    }
-    const normalized = filePath.replace(/\\/g, "/");
-    const baseName = normalized.substring(normalized.lastIndexOf("/") + 1) || "subtitle";
-    const stem = baseName.replace(/\.[^/.]+$/, "") || "subtitle";
-    return stem.replace(/[^A-Za-z0-9._-]+/g, "_") || "subtitle";
-}
-
-function formatTimestampSuffix(date = new Date()) {
-    const pad = (value) => String(value).padStart(2, "0");
-    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
-}
-
 function shellEscape(value) {
     if (value === undefined || value === null) {
         return "''";
@@ -644,20 +2285,6 @@ function getMediaDurationMs() {
     return null;
 }
 
-function estimateDurationFromText(text) {
-    const words = (text || "").trim().split(/\s+/).filter(Boolean).length;
-    const averageMsPerWord = 320; // ~187 wpm
-    return words > 0 ? words * averageMsPerWord : 4000;
-}
-
-function estimateDurationFromTextLines(lines) {
-    if (!lines || lines.length === 0) {
-        return 2000;
-    }
-    const joined = Array.isArray(lines) ? lines.join(" ") : String(lines);
-    return estimateDurationFromText(joined);
-}
-
 function splitTextIntoLines(text) {
     if (!text) {
         return [];
@@ -672,32 +2299,16 @@ function secondsToMs(value) {
     return Math.max(0, Math.round(value * 1000));
 }
 
-function parseTimestampMs(value) {
-    const match = /^(\d{2}):(\d{2}):(\d{2}),(\d{3})$/.exec(value || "");
-    if (!match) {
-        return 0;
-    }
-    const [, hh, mm, ss, ms] = match;
-    return ((((parseInt(hh, 10) * 60) + parseInt(mm, 10)) * 60) + parseInt(ss, 10)) * 1000 + parseInt(ms, 10);
-}
-
-function formatTimestamp(ms) {
-    const clamped = Math.max(0, Math.floor(ms));
-    const hours = Math.floor(clamped / 3600000);
-    const minutes = Math.floor((clamped % 3600000) / 60000);
-    const seconds = Math.floor((clamped % 60000) / 1000);
-    const millis = clamped % 1000;
-    const pad = (num, len = 2) => String(num).padStart(len, "0");
-    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(millis, 3)}`;
-}
-
 async function execWrapped(file, commands, cwd, options = {}) {
     const {
         status, stdout, stderr
-    } = await utils.exec(file, commands, cwd);
+    } = await execForJob(options.job || null, file, commands, cwd, options.stdoutHook || null);
     if (!options.silent) {
         console.log(status);
-        console.log(stdout);
+        // Output handed to a hook is progress reporting, not worth keeping in the log.
+        if (!options.stdoutHook) {
+            console.log(stdout);
+        }
         console.log(stderr);
     }
     if (status !== 0) {
@@ -709,10 +2320,10 @@ async function execWrapped(file, commands, cwd, options = {}) {
 const HOME = getPluginHomePath();
 const DATA = getPluginDataPath();
 
-function getWhisperServerPath() {
-    const serverPath = preferences.get("wserver_path");
-    if (!utils.fileInPath(serverPath)) {
-        throw new Error(`Unable to locate whisper-server executable at: ${serverPath}. Check the preference page for more details.`);
+function getWhisperCliPath() {
+    const cliPath = preferences.get("wcli_path");
+    if (!utils.fileInPath(cliPath)) {
+        throw new Error(`Unable to locate whisper-cli executable at: ${cliPath}. Check the preference page for more details.`);
     }
-    return serverPath;
+    return cliPath;
 }
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import {readdirSync, rmSync, writeFileSync} from "node:fs";
+import {beforeEach, test} from "node:test";
+
+import {findCachedTranscripts, listArchivedTranscripts, persistSubtitleCopy} from "../src/archive.js";
+
+let archiveCount = 0;
+let archiveDir;
+
+beforeEach(() => {
+    archiveCount += 1;
+    iina.preferences.set("subtitle_archive_dir", `@data/archive-${archiveCount}`);
+    archiveDir = iina.utils.resolvePath(`@data/archive-${archiveCount}`);
+});
+
+function writeSubtitle(text) {
+    const path = iina.utils.resolvePath(`@tmp/archive-${archiveCount}-${text.replace(/\W/g, "")}.srt`);
+    writeFileSync(path, `1\n00:00:00,000 --> 00:00:01,000\n${text}\n`);
+    return path;
+}
+
+test("an archived transcript is found again by fingerprint and descriptor", async () => {
+    const cacheInfo = {fingerprint: "f".repeat(64), descriptor: {backend: "whisper_server", model: "base"}};
+    const archivedPath = await persistSubtitleCopy(writeSubtitle("Hello."), "/Movies/My Film (2020).mkv", cacheInfo);
+
+    const [cached] = findCachedTranscripts({fingerprint: cacheInfo.fingerprint, descriptor: {model: "base", backend: "whisper_server"}});
+    assert.match(cached.fileName, /^My_Film_2020_-\d{8}-\d{9}\.srt$/);
+    assert.match(iina.file.read(cached.path), /Hello\./);
+    assert.equal(cached.path, archivedPath);
+    assert.equal(cached.exact, true);
+    assert.deepEqual(findCachedTranscripts({fingerprint: cacheInfo.fingerprint, descriptor: {backend: "whisper_server", model: "small"}}), []);
+    assert.deepEqual(findCachedTranscripts({fingerprint: "0".repeat(64), descriptor: cacheInfo.descriptor}), []);
+});
+
+test("ignored descriptor keys widen the match, with exact matches listed first", async () => {
+    const fingerprint = "c".repeat(64);
+    await persistSubtitleCopy(writeSubtitle("Exact."), "/Movies/clip.mp4", {fingerprint, descriptor: {backend: "openai", format: "srt"}});
+    await persistSubtitleCopy(writeSubtitle("Other format."), "/Movies/clip.mp4", {fingerprint, descriptor: {backend: "openai", format: "vtt"}});
+    await persistSubtitleCopy(writeSubtitle("Other backend."), "/Movies/clip.mp4", {fingerprint, descriptor: {backend: "whisper_cli", format: "srt"}});
+
+    const matches = findCachedTranscripts({fingerprint, descriptor: {backend: "openai", format: "srt"}}, ["format"]);
+    assert.deepEqual(matches.map(entry => [entry.descriptor.format, entry.exact]), [["srt", true], ["vtt", false]]);
+});
+
+test("transcripts whose file was removed from the archive are skipped", async () => {
+    const cacheInfo = {fingerprint: "a".repeat(64), descriptor: {backend: "openai"}};
+    await persistSubtitleCopy(writeSubtitle("Old."), "/Movies/clip.mp4", cacheInfo);
+    const [entry] = listArchivedTranscripts(cacheInfo.fingerprint);
+    rmSync(entry.path);
+    assert.deepEqual(listArchivedTranscripts(cacheInfo.fingerprint), []);
+});
+
+test("transcripts archived at the same time keep their own file and index entry", async () => {
+    const cacheInfo = {fingerprint: "b".repeat(64), descriptor: {backend: "whisper_cli"}};
+    await Promise.all(["One.", "Two.", "Three."].map(text => persistSubtitleCopy(writeSubtitle(text), "/Movies/clip.mp4", cacheInfo)));
+
+    const entries = listArchivedTranscripts(cacheInfo.fingerprint);
+    assert.equal(entries.length, 3);
+    assert.equal(new Set(entries.map(entry => entry.fileName)).size, 3);
+    assert.deepEqual(readdirSync(archiveDir).filter(name => !name.endsWith(".srt")), ["index.json"]);
+});
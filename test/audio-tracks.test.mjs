@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import {afterEach, test} from "node:test";
+
+import {buildAudioMapArgs, buildRemoteExtractionArgs, describeTranscription, resolveAudioTrack} from "../src/transcribe.js";
+
+const TRACK_LIST = [
+    {id: 1, type: "video", "ff-index": 0},
+    {id: 1, type: "audio", "ff-index": 1, lang: "jpn", title: "Original"},
+    {id: 2, type: "audio", "ff-index": 2, lang: "eng", title: "Dub", selected: true},
+    {id: 3, type: "audio", external: true, lang: "fra"},
+    {id: 1, type: "sub", "ff-index": 3},
+];
+
+const getNative = iina.mpv.getNative;
+
+function useTrackList(tracks) {
+    iina.mpv.getNative = name => (name === "track-list" ? tracks : null);
+}
+
+afterEach(() => {
+    iina.mpv.getNative = getNative;
+});
+
+test("the selected embedded audio track is transcribed by default", () => {
+    useTrackList(TRACK_LIST);
+    const track = resolveAudioTrack();
+    assert.equal(track.id, 2);
+    assert.deepEqual(buildAudioMapArgs(track), ["-map", "0:2"]);
+    assert.equal(resolveAudioTrack(1).lang, "jpn");
+});
+
+test("external and missing tracks cannot be chosen", () => {
+    useTrackList(TRACK_LIST);
+    assert.throws(() => resolveAudioTrack(3), /Audio track 3 is not available/);
+});
+
+test("single-track media keep ffmpeg's default stream and cache key", () => {
+    useTrackList(TRACK_LIST.filter(track => track.id !== 2));
+    assert.equal(resolveAudioTrack(), null);
+    assert.deepEqual(buildAudioMapArgs(null), []);
+    assert.equal(describeTranscription("whisper_server", "base", null, false, "auto", null).audioStream, undefined);
+});
+
+test("tracks without an ffmpeg index are mapped by their audio ordinal", () => {
+    useTrackList([{id: 1, type: "audio"}, {id: 2, type: "audio", selected: true}]);
+    const track = resolveAudioTrack();
+    assert.deepEqual(buildAudioMapArgs(track), ["-map", "0:a:1"]);
+    assert.equal(describeTranscription("whisper_server", "base", null, false, "auto", track).audioStream, "a:1");
+
+    const args = buildRemoteExtractionArgs("https://example.com/a.m3u8", 0, 1000, "/tmp/part.pcm", track);
+    assert.deepEqual(args.slice(args.indexOf("-i"), args.indexOf("-t")), ["-i", "https://example.com/a.m3u8", "-map", "0:a:1"]);
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import {existsSync, readFileSync} from "node:fs";
+import {mock, test} from "node:test";
+
+import {createOpenAIStreamHandler, terminateRecordedProcess} from "../src/transcribe.js";
+
+test("cancelling takes down the whole process tree, grandchildren included, so exec returns at once", async () => {
+    const pidPath = iina.utils.resolvePath("@tmp/cancel.pid");
+    const startedAt = Date.now();
+    const running = iina.utils.exec("/bin/sh", ["-c", 'echo $$ > "$0"; /bin/sh -c "sleep 30 & wait" & wait', pidPath]);
+    while (!existsSync(pidPath) || !readFileSync(pidPath, "utf8").trim()) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    await terminateRecordedProcess(pidPath);
+    await running;
+    assert.ok(Date.now() - startedAt < 10000);
+});
+
+test("a stopped stream handler drops its pending live subtitle update", async () => {
+    mock.timers.enable({apis: ["setTimeout"]});
+    try {
+        const updates = [];
+        const handler = createOpenAIStreamHandler(null, segments => {
+            updates.push(segments);
+            return Promise.resolve();
+        });
+        handler.handleChunk('data: {"type":"transcript.text.delta","delta":"Hello there."}\n\n');
+        handler.stop();
+        mock.timers.tick(10000);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(updates.length, 0);
+    } finally {
+        mock.timers.reset();
+    }
+});
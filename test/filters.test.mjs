@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+
+import {DEFAULT_BLOCKLIST, describeFilterSummary, filterHallucinations, getFilterOptions, parseSilenceDetectOutput} from "../src/filters.js";
+
+const cue = (startMs, endMs, text) => ({startMs, endMs, textLines: [text]});
+const texts = segments => segments.map(segment => segment.textLines.join(" "));
+
+test("silencedetect output is read into silences, shifted by the offset", () => {
+    const output = [
+        "[silencedetect @ 0x600] silence_start: 1.5",
+        "[silencedetect @ 0x600] silence_end: 3.25 | silence_duration: 1.75",
+        "size=N/A time=00:00:10.00 bitrate=N/A",
+        "[silencedetect @ 0x600] silence_start: 9.8",
+    ].join("\n");
+    assert.deepEqual(parseSilenceDetectOutput(output, 60000), [
+        {startMs: 61500, endMs: 63250},
+        {startMs: 69800, endMs: Number.POSITIVE_INFINITY},
+    ]);
+});
+
+test("stock phrases are dropped, and cut from the end of real speech", () => {
+    const {segments, summary} = filterHallucinations([
+        cue(0, 2000, "So that is the plan."),
+        cue(2000, 4000, "Thanks for watching!"),
+        cue(4000, 6000, "See you next week. Subtitles by the Amara.org community"),
+    ]);
+    assert.deepEqual(texts(segments), ["So that is the plan.", "See you next week."]);
+    assert.equal(summary.blocklisted, 2);
+});
+
+test("runaway repetitions are collapsed", () => {
+    const {segments, summary} = filterHallucinations([
+        cue(0, 2000, "we will we will we will we will rock you"),
+        cue(2000, 3000, "Okay."),
+        cue(3000, 4000, "Okay."),
+        cue(4000, 5000, "Right."),
+        cue(5000, 6000, "Right."),
+        cue(6000, 7000, "Right."),
+        cue(7000, 8000, "Right."),
+    ]);
+    assert.deepEqual(texts(segments), ["we will rock you", "Okay.", "Okay.", "Right."]);
+    assert.deepEqual(summary, {blocklisted: 0, repeatedCues: 3, repeatedPhrases: 1, silent: 0, trimmed: 0});
+    assert.equal(describeFilterSummary(summary), "3 repeated cue(s), 1 cue(s) with repeated phrases collapsed");
+});
+
+test("cues in silence are dropped and silence at their ends is cut off", () => {
+    const silences = [{startMs: 0, endMs: 1000}, {startMs: 5000, endMs: 9000}];
+    const {segments, summary} = filterHallucinations([
+        cue(500, 3000, "Hello."),
+        cue(5500, 8500, "Nothing was said here."),
+    ], {silences});
+    assert.deepEqual(segments, [cue(1000, 3000, "Hello.")]);
+    assert.equal(summary.silent, 1);
+    assert.equal(summary.trimmed, 1);
+});
+
+test("the preferences add phrases to the blocklist and tune silence detection", t => {
+    t.after(() => iina.stub.resetPreferences());
+    iina.preferences.set("hallucination_blocklist", "  Like and share.  \n\nBye!");
+    iina.preferences.set("silence_noise_db", "-35");
+    iina.preferences.set("silence_min_duration", "not a number");
+    const options = getFilterOptions();
+    assert.deepEqual(options.blocklist, DEFAULT_BLOCKLIST.concat(["Like and share.", "Bye!"]));
+    assert.equal(options.noiseDb, -35);
+    assert.equal(options.minSilenceMs, 2000);
+});
@@ -0,0 +1,19 @@
+// Parcel resolves the extensionless imports between the modules in src/ and bundles them as ES
+// modules; Node needs to be told both.
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code !== "ERR_MODULE_NOT_FOUND" || !/^\.\.?\//.test(specifier)) {
+            throw error;
+        }
+        return nextResolve(`${specifier}.js`, context);
+    }
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith("file:") && url.includes("/src/") && url.endsWith(".js")) {
+        return nextLoad(url, {...context, format: "module"});
+    }
+    return nextLoad(url, context);
+}
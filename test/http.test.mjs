@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import {afterEach, test} from "node:test";
+
+import {buildTimeoutArgs, createRequestError, getRetryDelayMs, parseResponseHeaders, parseRetryAfterMs} from "../src/http.js";
+
+afterEach(() => {
+    iina.stub.resetPreferences();
+});
+
+test("only the last response block of curl's header dump counts", () => {
+    const dump = "HTTP/1.1 100 Continue\r\n\r\nHTTP/2 429\r\nRetry-After: 7\r\nX-Request-Id: abc\r\n\r\n";
+    assert.deepEqual(parseResponseHeaders(dump), {statusCode: 429, headers: {"retry-after": "7", "x-request-id": "abc"}});
+    assert.deepEqual(parseResponseHeaders(""), {statusCode: null, headers: {}});
+});
+
+test("Retry-After is read as milliseconds, seconds or an HTTP date", () => {
+    assert.equal(parseRetryAfterMs({"retry-after-ms": "1500", "retry-after": "9"}), 1500);
+    assert.equal(parseRetryAfterMs({"retry-after": "2.5"}), 2500);
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    assert.ok(Math.abs(parseRetryAfterMs({"retry-after": inTenSeconds}) - 10000) <= 1000);
+    assert.equal(parseRetryAfterMs({"retry-after": "soon"}), null);
+    assert.equal(parseRetryAfterMs({}), null);
+});
+
+test("retries back off exponentially unless the server names a wait", () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const delay = getRetryDelayMs(attempt);
+        assert.ok(delay >= 2000 * 2 ** attempt && delay <= 2500 * 2 ** attempt);
+    }
+    assert.equal(getRetryDelayMs(10), 120000);
+    assert.equal(getRetryDelayMs(0, 100), 500);
+    assert.equal(getRetryDelayMs(0, 30000), 30000);
+    assert.equal(getRetryDelayMs(0, 600000), null);
+});
+
+test("HTTP failures become actionable messages and only transient ones are retried", () => {
+    const rejected = createRequestError({profileName: "Groq", statusCode: 401, body: '{"error": {"message": "Invalid API Key"}}'});
+    assert.equal(rejected.message, "Groq: The API key was rejected (HTTP 401): Invalid API Key. Check the key in the preferences.");
+    assert.equal(rejected.retryable, false);
+
+    const limited = createRequestError({statusCode: 429, headers: {"retry-after": "3"}, body: '{"error": {"message": "Slow down", "code": "rate_limit_exceeded"}}'});
+    assert.equal(limited.retryable, true);
+    assert.equal(limited.retryAfterMs, 3000);
+
+    const quota = createRequestError({statusCode: 429, body: '{"error": {"message": "Quota", "code": "insufficient_quota"}}'});
+    assert.match(quota.message, /run out of quota/);
+    assert.equal(quota.retryable, false);
+
+    assert.equal(createRequestError({statusCode: 503, body: '{"detail": "Model loading"}'}).message, "The API server failed (HTTP 503): Model loading.");
+    assert.equal(createRequestError({statusCode: 503}).retryable, true);
+    assert.match(createRequestError({statusCode: 404}).message, /Check the endpoint URL and model name/);
+    assert.equal(createRequestError({statusCode: 400}).retryable, false);
+});
+
+test("curl failures are mapped by exit status", () => {
+    iina.preferences.set("openai_request_timeout", 60);
+    const timedOut = createRequestError({curlStatus: 28});
+    assert.match(timedOut.message, /timed out \(connect 15 s, total 60 s\)/);
+    assert.equal(timedOut.retryable, true);
+    assert.deepEqual(buildTimeoutArgs(), ["--connect-timeout", "15", "--max-time", "60"]);
+
+    assert.match(createRequestError({curlStatus: 7}).message, /Could not connect/);
+    assert.equal(createRequestError({curlStatus: 60}).retryable, false);
+    assert.equal(createRequestError({curlStatus: 56}).retryable, true);
+    assert.equal(createRequestError({curlStatus: 3}).retryable, false);
+});
+
+test("errors reported inside a successful stream are retried only when transient", () => {
+    assert.equal(createRequestError({apiError: {message: "overloaded", code: "server_error"}}).retryable, true);
+    const invalid = createRequestError({apiError: {message: "bad audio", code: "invalid_value"}});
+    assert.equal(invalid.message, "The API reported an error: bad audio (code invalid_value).");
+    assert.equal(invalid.retryable, false);
+});
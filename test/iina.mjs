@@ -0,0 +1,125 @@
+// A stand-in for the `iina` global IINA gives plugin scripts. Preferences start from the defaults in
+// Info.json, paths resolve into a temporary directory laid out like IINA's, files are real files and
+// utils.exec runs real processes. The player itself (OSD, tracks, mpv) only records what it is asked.
+import {spawn} from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const INFO = JSON.parse(fs.readFileSync(new URL("../Info.json", import.meta.url), "utf8"));
+const PLAYER_ID = "player-1";
+const PLUGIN_DIR = "Library/Application Support/com.colliderli.iina/plugins/whisperina.iinaplugin-dev";
+
+export function createIinaStub() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "whisperina-test-"));
+    process.on("exit", () => fs.rmSync(root, {recursive: true, force: true}));
+    const roots = {"@data": path.join(root, "data"), "@tmp": path.join(root, "tmp"), "~": path.join(root, "home")};
+    Object.values(roots).forEach(dir => fs.mkdirSync(dir, {recursive: true}));
+    fs.mkdirSync(path.join(roots["~"], PLUGIN_DIR), {recursive: true});
+
+    const resolvePath = value => {
+        const prefix = Object.keys(roots).find(key => value === key || value.startsWith(`${key}/`));
+        return prefix ? path.join(roots[prefix], value.slice(prefix.length)) : value;
+    };
+    const preferences = new Map(Object.entries(INFO.preferenceDefaults || {}));
+    const osd = [];
+    const loadedTracks = [];
+    const messages = [];
+    const messageHandlers = new Map();
+    const eventHandlers = new Map();
+
+    return {
+        // For the tests: what the plugin showed and loaded, and a way to start over.
+        stub: {
+            root,
+            osd,
+            loadedTracks,
+            messages,
+            messageHandlers,
+            // Delivers an IINA event such as "iina.window-will-close" to every listener.
+            emit(name, ...args) {
+                (eventHandlers.get(name) || []).forEach(handler => handler(...args));
+            },
+            resetPreferences() {
+                preferences.clear();
+                Object.entries(INFO.preferenceDefaults || {}).forEach(([key, value]) => preferences.set(key, value));
+            },
+        },
+        console: {log() {}, warn() {}, error() {}},
+        preferences: {
+            get: key => preferences.get(key),
+            set: (key, value) => preferences.set(key, value),
+        },
+        core: {
+            osd: message => osd.push(message),
+            status: {url: null, position: null, duration: null},
+            audio: {currentTrack: null},
+            subtitle: {loadTrack: trackPath => loadedTracks.push(trackPath)},
+        },
+        mpv: {
+            getNative: () => null,
+            command() {},
+        },
+        utils: {
+            resolvePath,
+            fileInPath(value) {
+                if (value.includes("/")) {
+                    return fs.existsSync(resolvePath(value));
+                }
+                return (process.env.PATH || "").split(":").some(dir => fs.existsSync(path.join(dir, value)));
+            },
+            exec: (binary, args, cwd = null, stdoutHook = null, stderrHook = null) => new Promise(resolve => {
+                const child = spawn(binary, args, {cwd: cwd ? resolvePath(cwd) : undefined});
+                let stdout = "";
+                let stderr = "";
+                child.stdout.on("data", data => {
+                    stdout += data;
+                    stdoutHook?.(`${data}`);
+                });
+                child.stderr.on("data", data => {
+                    stderr += data;
+                    stderrHook?.(`${data}`);
+                });
+                child.on("error", error => resolve({status: 127, stdout, stderr: error.message}));
+                child.on("close", status => resolve({status: status ?? 1, stdout, stderr}));
+            }),
+            ask: () => false,
+            prompt: () => null,
+        },
+        file: {
+            exists: value => fs.existsSync(resolvePath(value)),
+            read: value => {
+                const resolved = resolvePath(value);
+                return fs.existsSync(resolved) ? fs.readFileSync(resolved, "utf8") : undefined;
+            },
+            write: (value, content) => fs.writeFileSync(resolvePath(value), content),
+            delete: value => fs.rmSync(resolvePath(value), {recursive: true, force: true}),
+            list: value => fs.readdirSync(resolvePath(value), {withFileTypes: true}).map(entry => ({
+                filename: entry.name,
+                path: path.join(resolvePath(value), entry.name),
+                isDir: entry.isDirectory(),
+            })),
+        },
+        http: {
+            get: () => Promise.reject(new Error("No network in the tests.")),
+        },
+        // Player and global entry share this object, so a message posted by one side is delivered to
+        // the other side's handler (the global entry's postMessage takes the target player first).
+        global: {
+            postMessage(...args) {
+                const fromGlobal = args.length > 2;
+                const [target, name, data] = fromGlobal ? args : [null, ...args];
+                messages.push({target, name, data});
+                const handler = messageHandlers.get(name);
+                if (handler) {
+                    setImmediate(() => handler(data, fromGlobal ? undefined : PLAYER_ID));
+                }
+            },
+            onMessage: (name, handler) => messageHandlers.set(name, handler),
+        },
+        event: {
+            on: (name, handler) => eventHandlers.set(name, (eventHandlers.get(name) || []).concat(handler)),
+        },
+        menu: {item: (title, action) => ({title, action}), addItem() {}},
+    };
+}
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import {existsSync, readdirSync, writeFileSync} from "node:fs";
+import {afterEach, test} from "node:test";
+
+import "../src/global.js";
+import {finishJob, listActiveJobs, startJob} from "../src/jobs.js";
+import {removeJobDirectory} from "../src/transcribe.js";
+
+afterEach(() => {
+    listActiveJobs().forEach(finishJob);
+    iina.stub.resetPreferences();
+});
+
+test("each job gets its own directory and the queue runs one job at a time by default", async () => {
+    const first = await startJob();
+    const positions = [];
+    let secondStarted = false;
+    const second = startJob(position => positions.push(position)).then(job => {
+        secondStarted = true;
+        return job;
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(first.slot, 0);
+    assert.ok(existsSync(first.dir));
+    assert.equal(secondStarted, false);
+    assert.deepEqual(positions, [1]);
+
+    finishJob(first);
+    const next = await second;
+    assert.notEqual(next.dir, first.dir);
+    assert.equal(next.slot, 0);
+});
+
+test("concurrent jobs hold distinct slots", async () => {
+    iina.preferences.set("max_concurrent_jobs", 2);
+    const jobs = await Promise.all([startJob(), startJob()]);
+    assert.deepEqual(jobs.map(job => job.slot).sort(), [0, 1]);
+});
+
+test("a finished job leaves nothing behind but the subtitle IINA still has to load", async () => {
+    const job = await startJob();
+    ["whisper_tmp.wav", "whisper_tmp.wav.srt", "whisper_server.log"].forEach(name => writeFileSync(`${job.dir}/${name}`, ""));
+
+    await removeJobDirectory(job, `${job.dir}/whisper_tmp.wav.srt`);
+    assert.deepEqual(readdirSync(job.dir), ["whisper_tmp.wav.srt"]);
+
+    await removeJobDirectory(job);
+    assert.equal(existsSync(job.dir), false);
+});
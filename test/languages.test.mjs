@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import {afterEach, test} from "node:test";
+
+import {normalizeLanguage} from "../src/languages.js";
+import {detectLanguageInOutput, detectOpenAILanguage, getRequestedLanguage} from "../src/transcribe.js";
+
+afterEach(() => {
+    iina.stub.resetPreferences();
+    iina.core.audio.currentTrack = null;
+});
+
+test("ISO 639-2 tags, English names and locales normalize to ISO 639-1", () => {
+    assert.equal(normalizeLanguage("jpn"), "ja");
+    assert.equal(normalizeLanguage("ger"), "de");
+    assert.equal(normalizeLanguage("Japanese"), "ja");
+    assert.equal(normalizeLanguage("pt_BR"), "pt");
+    assert.equal(normalizeLanguage("cantonese"), "yue");
+    assert.equal(normalizeLanguage("xx"), "xx");
+    assert.equal(normalizeLanguage("und"), null);
+    assert.equal(normalizeLanguage("auto"), null);
+    assert.equal(normalizeLanguage("klingon"), null);
+    assert.equal(normalizeLanguage(undefined), null);
+});
+
+test("the language whisper reports last in its log wins", () => {
+    const log = "whisper_full_with_state: auto-detected language: en (p = 0.41)\n"
+        + "whisper_full_with_state: auto-detected language: fr (p = 0.93)\n";
+    assert.equal(detectLanguageInOutput(log), "fr");
+    assert.equal(detectLanguageInOutput("no detection here"), null);
+    assert.equal(detectLanguageInOutput(null), null);
+});
+
+test("verbose_json reports the detected language by name", () => {
+    assert.equal(detectOpenAILanguage(JSON.stringify({language: "japanese", text: "..."})), "ja");
+    assert.equal(detectOpenAILanguage("not json"), null);
+});
+
+test("the audio track language is a hint only while the preference is auto", () => {
+    iina.core.audio.currentTrack = {lang: "spa"};
+    assert.equal(getRequestedLanguage(), "es");
+
+    iina.preferences.set("language", "de");
+    assert.equal(getRequestedLanguage(), "de");
+
+    iina.preferences.set("language", "auto");
+    iina.preferences.set("language_from_track", false);
+    assert.equal(getRequestedLanguage(), "auto");
+});
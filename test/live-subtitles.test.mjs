@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import {appendFileSync, writeFileSync} from "node:fs";
+import {test} from "node:test";
+
+import {startLogMonitor} from "../src/transcribe.js";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("segments printed to the whisper-server log are streamed into the live subtitle", async () => {
+    const logPath = iina.utils.resolvePath("@tmp/server.log");
+    const livePath = iina.utils.resolvePath("@tmp/live.srt");
+    writeFileSync(logPath, [
+        "whisper_init_from_file_with_params_no_state: loading model",
+        "[00:00:00.000 --> 00:00:02.500]   Hello there.",
+        "[00:00:02.500 --> 00:00:04.000]   How are you?",
+        "",
+    ].join("\n"));
+    const monitor = startLogMonitor(logPath, livePath);
+    await sleep(300);
+    assert.equal(iina.file.read(livePath), [
+        // The readability stage keeps a short gap between consecutive cues.
+        "1", "00:00:00,000 --> 00:00:02,420", "Hello there.", "",
+        "2", "00:00:02,500 --> 00:00:04,000", "How are you?", "",
+    ].join("\n"));
+    assert.ok(iina.stub.loadedTracks.includes(livePath));
+
+    appendFileSync(logPath, "[00:00:04.000 --> 00:00:05.250]   Fine.\n");
+    await sleep(1200);
+    await monitor.finalize(null);
+    assert.match(iina.file.read(livePath), /3\n00:00:04,000 --> 00:00:05,250\nFine\.\n$/);
+});
+
+test("the live subtitle is removed once the final subtitle is there", async () => {
+    const logPath = iina.utils.resolvePath("@tmp/server-final.log");
+    const livePath = iina.utils.resolvePath("@tmp/live-final.srt");
+    writeFileSync(logPath, "[00:00:00.000 --> 00:00:01.000]   Done.\n");
+    const monitor = startLogMonitor(logPath, livePath);
+    await sleep(300);
+    assert.ok(iina.file.exists(livePath));
+    await monitor.finalize(iina.utils.resolvePath("@tmp/final.srt"));
+    assert.ok(!iina.file.exists(livePath));
+});
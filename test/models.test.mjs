@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import {createHash} from "node:crypto";
+import {writeFileSync} from "node:fs";
+import {test} from "node:test";
+
+import {findModel, formatBytes, getModelPath, listModels, verifyModel} from "../src/models.js";
+
+function writeModel(name, content) {
+    writeFileSync(getModelPath(name), content);
+    return createHash("sha1").update(content).digest("hex");
+}
+
+test("a model whose SHA-1 differs from the catalogue fails verification", async () => {
+    const actual = writeModel("tiny", "not really a model");
+    assert.deepEqual(await verifyModel("tiny"), {verified: false, expected: findModel("tiny").sha, actual});
+});
+
+test("a model matching the catalogue passes verification", async () => {
+    const model = findModel("base");
+    const recorded = model.sha;
+    model.sha = writeModel("base", "weights");
+    try {
+        assert.deepEqual(await verifyModel("base"), {verified: true});
+    } finally {
+        model.sha = recorded;
+    }
+});
+
+test("models without a recorded hash cannot be verified", async () => {
+    assert.deepEqual(await verifyModel("ggml-custom"), {verified: null});
+});
+
+test("model sizes are shown in binary units", () => {
+    assert.equal(formatBytes(512), "512 B");
+    assert.equal(formatBytes(147951465), "141.1 MiB");
+    assert.equal(formatBytes(3095033483), "2.9 GiB");
+});
+
+test("the published catalogue leaves visibility to the preferences themselves", async () => {
+    iina.preferences.set("show_base_q5_1", true);
+    const visible = (await listModels()).map(model => model.name);
+    const catalogue = JSON.parse(iina.preferences.get("model_catalogue"));
+
+    assert.ok(visible.includes("base"));
+    assert.ok(visible.includes("base-q5_1"));
+    assert.ok(!visible.includes("tiny-q8_0"));
+    assert.deepEqual(catalogue.find(model => model.name === "base-q5_1"), {
+        name: "base-q5_1", size: "57 MiB", installed: false, custom: false, key: "show_base_q5_1",
+    });
+    assert.ok(catalogue.every(model => !("visible" in model)));
+});
+
+test("quantized models are verified against their published SHA-1 too", async () => {
+    writeModel("tiny-q5_1", "not the quantized model");
+    assert.equal((await verifyModel("tiny-q5_1")).expected, "2827a03e495b1ed3048ef28a6a4620537db4ee51");
+});
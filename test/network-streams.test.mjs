@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import {createHash} from "node:crypto";
+import {test} from "node:test";
+
+import {fingerprintMedia} from "../src/archive.js";
+import {buildRemoteExtractionArgs, describeFatalStreamError, execWithDeadline} from "../src/transcribe.js";
+
+test("a command that finishes in time returns as soon as it exits, with its output", async () => {
+    const startedAt = Date.now();
+    const {status, stdout} = await execWithDeadline("/bin/sh", ["-c", "echo done; exit 3"], 30000);
+    assert.equal(status, 3);
+    assert.equal(stdout.trim(), "done");
+    assert.ok(Date.now() - startedAt < 2000, "the watchdog's sleep kept exec waiting");
+});
+
+test("a command that overruns its deadline is terminated", async () => {
+    const startedAt = Date.now();
+    const {status} = await execWithDeadline("/bin/sleep", ["30"], 1000);
+    assert.notEqual(status, 0);
+    assert.ok(Date.now() - startedAt < 5000);
+});
+
+test("remote extraction resumes from the offset reached and reconnects over HTTP", () => {
+    assert.deepEqual(buildRemoteExtractionArgs("https://example.com/talk.m3u8", 61500, 120000, "/tmp/part1.pcm"), [
+        "-y", "-nostdin", "-progress", "pipe:1", "-nostats", "-rw_timeout", "30000000",
+        "-reconnect", "1", "-reconnect_streamed", "1", "-reconnect_delay_max", "10",
+        "-ss", "61.500",
+        "-i", "https://example.com/talk.m3u8", "-t", "120.000", "-vn", "-ar", "16000", "-ac", "1", "-f", "s16le", "/tmp/part1.pcm",
+    ]);
+    assert.ok(!buildRemoteExtractionArgs("rtmp://example.com/live", 0, 60000, "/tmp/part0.pcm").includes("-ss"));
+});
+
+test("failures that retrying cannot fix are recognised", () => {
+    assert.match(describeFatalStreamError("[hls] SAMPLE-AES encryption is not supported"), /DRM-protected/);
+    assert.match(describeFatalStreamError("https://x: Server returned 403 Forbidden (access denied)"), /refused access/);
+    assert.match(describeFatalStreamError("Server returned 404 Not Found"), /could not be found/);
+    assert.equal(describeFatalStreamError("Connection reset by peer"), null);
+});
+
+test("network media is fingerprinted by its URL", async () => {
+    const url = "https://example.com/video.mp4?token=1";
+    assert.equal(await fingerprintMedia(url), createHash("sha256").update(url).digest("hex"));
+});
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+
+import {mergeChunkSegments, parseOpenAIResponse} from "../src/transcribe.js";
+
+const cue = (startMs, endMs, text) => ({startMs, endMs, textLines: [text]});
+
+test("verbose JSON, SRT and plain text responses are read into segments", () => {
+    const json = JSON.stringify({segments: [{id: 0, start: 0.5, end: 2.25, text: " Hello there. "}]});
+    const [segment] = parseOpenAIResponse(json);
+    assert.deepEqual([segment.startMs, segment.endMs, segment.textLines], [500, 2250, ["Hello there."]]);
+
+    const srt = "1\n00:00:01,000 --> 00:00:02,000\nFirst line\nsecond line\n\n2\n00:00:03,500 --> 00:00:04,000\nNext\n";
+    assert.deepEqual(parseOpenAIResponse(srt), [
+        {startMs: 1000, endMs: 2000, textLines: ["First line", "second line"]},
+        cue(3500, 4000, "Next"),
+    ]);
+
+    const [text] = parseOpenAIResponse(JSON.stringify({text: "Only text."}));
+    assert.deepEqual(text.textLines, ["Only text."]);
+    assert.ok(text.endMs > 0);
+
+    assert.throws(() => parseOpenAIResponse(JSON.stringify({error: {message: "Invalid file format."}})), /Invalid file format/);
+});
+
+test("segments repeated in the overlap of two chunks are kept once", () => {
+    const first = [cue(0, 4000, "One."), cue(4000, 58000, "Two, still talking."), cue(58000, 61000, "Three.")];
+    // The second chunk starts 5 s before the first one ends.
+    const second = [cue(56000, 58500, "still talking."), cue(58000, 61000, "three"), cue(61000, 64000, "Four.")];
+    assert.deepEqual(mergeChunkSegments(first, second, 56000), first.concat([cue(61000, 64000, "Four.")]));
+    assert.deepEqual(mergeChunkSegments([], second, 56000), second);
+});
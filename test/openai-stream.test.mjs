@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+
+import {SAMPLE, parseStream} from "./sample.mjs";
+
+const event = value => `data: ${JSON.stringify(value)}\n\n`;
+
+test("the saved stream is parsed into back-to-back segments covering the whole transcript", async () => {
+    const {handler, updates, segments} = await parseStream([SAMPLE.raw_text]);
+    assert.equal(handler.getStreamError(), null);
+    assert.equal(segments.length, 97);
+    assert.deepEqual(segments[0].textLines, ["Well, hello there, and welcome to Obstructive Lung Disease."]);
+    segments.forEach((segment, index) => {
+        assert.ok(segment.endMs > segment.startMs);
+        assert.equal(segment.startMs, index > 0 ? segments[index - 1].endMs : 0);
+    });
+    assert.deepEqual(updates[updates.length - 1], segments);
+});
+
+test("events split across chunks are parsed the same as the whole stream", async () => {
+    const chunks = SAMPLE.raw_text.match(/[^]{1,37}/g);
+    assert.deepEqual((await parseStream(chunks)).segments, (await parseStream([SAMPLE.raw_text])).segments);
+});
+
+test("the finished transcript is stretched to the audio duration", async () => {
+    const {segments} = await parseStream([SAMPLE.raw_text], 600000);
+    assert.ok(Math.abs(segments[segments.length - 1].endMs - 600000) <= 1);
+});
+
+test("timed segments from diarizing models replace the text layout", async () => {
+    const {segments} = await parseStream([
+        event({type: "transcript.text.delta", delta: "Hi. "}),
+        event({type: "transcript.text.segment", id: "seg_1", start: 1.5, end: 2, text: "Hi.", speaker: "A"}),
+        event({type: "transcript.text.segment", id: "seg_0", start: 0, end: 1.5, text: "Hello,", speaker: "B"}),
+        "data: [DONE]\n\n",
+    ]);
+    assert.deepEqual(segments.map(segment => [segment.startMs, segment.endMs]), [[0, 1500], [1500, 2000]]);
+    assert.match(segments[0].textLines.join(" "), /Hello,/);
+});
+
+test("errors are reported whether streamed or returned as a plain JSON body", async () => {
+    const streamed = await parseStream([event({type: "error", error: {message: "Rate limit reached", code: "rate_limit"}})]);
+    assert.deepEqual(streamed.handler.getStreamError(), {message: "Rate limit reached", code: "rate_limit"});
+
+    const plain = await parseStream([JSON.stringify({error: {message: "Incorrect API key provided", type: "invalid_request_error"}})]);
+    assert.deepEqual(plain.handler.getStreamError(), {message: "Incorrect API key provided", code: "invalid_request_error"});
+});
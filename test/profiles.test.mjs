@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import {afterEach, test} from "node:test";
+
+import {getOpenAIProfile, listOpenAIProfiles, normalizeProfile} from "../src/profiles.js";
+import {describeTranscription, getOpenAIEndpoint} from "../src/transcribe.js";
+
+afterEach(() => {
+    iina.stub.resetPreferences();
+});
+
+test("the default profile is built from the single-endpoint settings", () => {
+    iina.preferences.set("openai_model", "gpt-4o-transcribe-diarize");
+    const profile = getOpenAIProfile();
+    assert.equal(profile.id, "default");
+    assert.equal(profile.endpoint, "https://api.openai.com/v1/audio/transcriptions");
+    assert.equal(profile.capabilities.diarization, true);
+});
+
+test("configured profiles get unique ids and unknown ids fall back to the default", () => {
+    iina.preferences.set("openai_profiles", JSON.stringify([
+        {name: "Groq", endpoint: "https://api.groq.com/openai/v1/audio/transcriptions", model: "whisper-large-v3"},
+        {name: "groq"},
+        {endpoint: "https://nameless.example.com"},
+    ]));
+    assert.deepEqual(listOpenAIProfiles().map(profile => profile.id), ["default", "groq", "groq-2"]);
+    assert.equal(getOpenAIProfile("groq").model, "whisper-large-v3");
+    assert.equal(getOpenAIProfile("missing").id, "default");
+});
+
+test("profiles that do not parse as a JSON array are ignored", () => {
+    iina.preferences.set("openai_profiles", "[{\"name\": ");
+    assert.equal(listOpenAIProfiles().length, 1);
+    iina.preferences.set("openai_profiles", "{\"name\": \"Groq\"}");
+    assert.equal(listOpenAIProfiles().length, 1);
+});
+
+test("extra fields accept an object or key=value lines", () => {
+    assert.deepEqual(normalizeProfile({name: "A", extraFields: {temperature: 0, prompt: "Names: Ada"}}).extraFields,
+        [["temperature", "0"], ["prompt", "Names: Ada"]]);
+    assert.deepEqual(normalizeProfile({name: "B", extraFields: "temperature = 0\nnot a field\nvad_filter=true"}).extraFields,
+        [["temperature", "0"], ["vad_filter", "true"]]);
+});
+
+test("a profile's translationEndpoint is used for translations and keys their cache entries", () => {
+    iina.preferences.set("openai_profiles", JSON.stringify([
+        {name: "Local", endpoint: "http://localhost:9000/asr", translationEndpoint: "http://localhost:9000/translate"},
+    ]));
+    const profile = getOpenAIProfile("local");
+    assert.equal(getOpenAIEndpoint(profile), "http://localhost:9000/asr");
+    assert.equal(getOpenAIEndpoint(profile, true), "http://localhost:9000/translate");
+    assert.equal(describeTranscription("openai", "openai:local", null, true).options.translationEndpoint, "http://localhost:9000/translate");
+    assert.equal(describeTranscription("openai", "openai:local").options.translationEndpoint, undefined);
+});
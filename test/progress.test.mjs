@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import {mock, test} from "node:test";
+
+import {createProgress, parseFfmpegProgressTimeMs} from "../src/progress.js";
+
+// The OSD is refreshed on a timer; both the timer and the clock are faked.
+function startProgress(label, totalMs) {
+    mock.timers.enable({apis: ["setTimeout", "Date"]});
+    const shownBefore = iina.stub.osd.length;
+    const progress = createProgress(label, totalMs);
+    return {
+        progress,
+        shown: () => iina.stub.osd.slice(shownBefore),
+        advance: ms => mock.timers.tick(ms),
+    };
+}
+
+test("the elapsed time is shown while the amount of work is unknown", t => {
+    t.after(() => mock.timers.reset());
+    const {progress, shown, advance} = startProgress("Uploading audio", null);
+    advance(2000);
+    progress.update(1000);
+    advance(2000);
+    progress.stop();
+    advance(2000);
+    assert.deepEqual(shown(), ["Uploading audio...", "Uploading audio... (2 s elapsed)", "Uploading audio... (4 s elapsed)"]);
+});
+
+test("the time left is estimated once enough is done", t => {
+    t.after(() => mock.timers.reset());
+    const {progress, shown, advance} = startProgress("Transcribing", 600000);
+    progress.setDetail("chunk 1/2");
+    progress.update(6000);
+    advance(2000);
+    advance(2000);
+    progress.update(60000);
+    advance(2000);
+    // Progress never goes backwards, and a paused OSD skips its refresh.
+    progress.update(30000);
+    progress.pause(3000);
+    advance(2000);
+    advance(2000);
+    progress.stop();
+    assert.deepEqual(shown(), [
+        "Transcribing...",
+        "Transcribing chunk 1/2... 1%",
+        "Transcribing chunk 1/2... 1%",
+        "Transcribing chunk 1/2... 10% (less than a minute left)",
+        "Transcribing chunk 1/2... 10% (about 2 min left)",
+    ]);
+});
+
+test("ffmpeg progress blocks are read up to the last position", () => {
+    const output = "frame=0\nout_time_us=1500000\nprogress=continue\nout_time_ms=2750000\nprogress=continue\n";
+    assert.equal(parseFfmpegProgressTimeMs(output), 2750);
+    assert.equal(parseFfmpegProgressTimeMs("progress=end\n"), null);
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import {writeFileSync} from "node:fs";
+import {afterEach, beforeEach, test} from "node:test";
+
+import {persistSubtitleCopy} from "../src/archive.js";
+import {mergeWithArchivedTranscript, parseUserTimestampMs} from "../src/transcribe.js";
+
+const FINGERPRINT = "c".repeat(64);
+let archiveCount = 0;
+
+beforeEach(() => {
+    archiveCount += 1;
+    iina.preferences.set("subtitle_archive_dir", `@data/ranges-${archiveCount}`);
+});
+
+afterEach(() => {
+    iina.core.status.duration = null;
+});
+
+async function archive(descriptor, cues) {
+    const path = iina.utils.resolvePath(`@tmp/ranges-${archiveCount}.srt`);
+    writeFileSync(path, cues.map(([start, end, text], index) => `${index + 1}\n00:00:${start},000 --> 00:00:${end},000\n${text}\n`).join("\n"));
+    await persistSubtitleCopy(path, "/Movies/talk.mkv", {fingerprint: FINGERPRINT, descriptor});
+}
+
+function segment(startMs, endMs, text) {
+    return {startMs, endMs, textLines: [text]};
+}
+
+test("user timestamps accept hh:mm:ss, mm:ss and seconds", () => {
+    assert.equal(parseUserTimestampMs("1:02:03.5"), 3723500);
+    assert.equal(parseUserTimestampMs("02:03"), 123000);
+    assert.equal(parseUserTimestampMs(" 42.25 "), 42250);
+    assert.equal(parseUserTimestampMs("1:2:3:4"), null);
+    assert.equal(parseUserTimestampMs("ten"), null);
+    assert.equal(parseUserTimestampMs(""), null);
+});
+
+test("a range replaces only the archived cues it overlaps", async () => {
+    const descriptor = {backend: "whisper_server", model: "base", language: "auto"};
+    await archive(descriptor, [["01", "02", "Before."], ["11", "12", "Stale."], ["21", "22", "After."]]);
+
+    const merged = mergeWithArchivedTranscript([segment(10000, 15000, "Fresh.")], {startMs: 10000, endMs: 20000},
+        {fingerprint: FINGERPRINT, descriptor: {...descriptor, partial: true}});
+
+    assert.deepEqual(merged.segments.map(cue => cue.textLines.join(" ")), ["Before.", "Fresh.", "After."]);
+    assert.equal(merged.complete, true);
+});
+
+test("a range is never merged into a transcript made by another model", async () => {
+    await archive({backend: "whisper_server", model: "large", language: "auto"}, [["01", "02", "Other model."]]);
+
+    const merged = mergeWithArchivedTranscript([segment(10000, 15000, "Fresh.")], {startMs: 10000, endMs: 20000},
+        {fingerprint: FINGERPRINT, descriptor: {backend: "whisper_server", model: "base", language: "auto", partial: true}});
+
+    assert.deepEqual(merged.segments.map(cue => cue.textLines.join(" ")), ["Fresh."]);
+    assert.equal(merged.complete, false);
+});
+
+test("a range starting at zero and reaching the end covers the whole media", async () => {
+    iina.core.status.duration = 60;
+    const cacheInfo = {fingerprint: FINGERPRINT, descriptor: {backend: "openai", model: "whisper-1", language: "auto", partial: true}};
+
+    assert.equal(mergeWithArchivedTranscript([], {startMs: 0, endMs: 60000}, cacheInfo).complete, true);
+    assert.equal(mergeWithArchivedTranscript([], {startMs: 0, endMs: null}, cacheInfo).complete, true);
+    assert.equal(mergeWithArchivedTranscript([], {startMs: 0, endMs: 30000}, cacheInfo).complete, false);
+    assert.equal(mergeWithArchivedTranscript([], {startMs: 5000, endMs: null}, cacheInfo).complete, false);
+});
+
+test("a translated range is never merged into a transcript", async () => {
+    const descriptor = {backend: "whisper_cli", model: "base", language: "auto"};
+    await archive(descriptor, [["01", "02", "Original language."]]);
+
+    const merged = mergeWithArchivedTranscript([segment(10000, 15000, "In English.")], {startMs: 10000, endMs: 20000},
+        {fingerprint: FINGERPRINT, descriptor: {...descriptor, task: "translate", partial: true}});
+
+    assert.deepEqual(merged.segments.map(cue => cue.textLines.join(" ")), ["In English."]);
+});
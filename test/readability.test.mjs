@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {test} from "node:test";
+
+import {DEFAULT_READABILITY_OPTIONS, improveReadability, wrapLines} from "../src/readability.js";
+import {renderSegmentsToSrt} from "../src/render.js";
+import {createOpenAIStreamHandler} from "../src/transcribe.js";
+
+// An OpenAI streaming response to a lecture recording, saved by the plugin while debugging: text
+// deltas only, so the segments are laid out from estimated durations.
+const SAMPLE = JSON.parse(readFileSync(new URL("../whisper_tmp.wav.srt.openai.json", import.meta.url), "utf8"));
+
+async function parseStream(chunks, durationMs = null) {
+    const handler = createOpenAIStreamHandler(durationMs, () => Promise.resolve());
+    chunks.forEach(chunk => handler.handleChunk(chunk));
+    handler.finalize();
+    await handler.waitForFlush();
+    assert.equal(handler.getStreamError(), null);
+    return handler.getSegments();
+}
+
+function joinText(segments) {
+    return segments.flatMap(segment => segment.textLines).join(" ").replace(/\s+/g, " ");
+}
+
+function assertReadable(cues, options = DEFAULT_READABILITY_OPTIONS) {
+    cues.forEach((cue, index) => {
+        const label = `cue ${index} (${JSON.stringify(cue.textLines)})`;
+        assert.ok(cue.textLines.length >= 1 && cue.textLines.length <= options.maxLines, `${label} has too many lines`);
+        cue.textLines.forEach(line => assert.ok(line.length <= options.maxLineLength, `${label} has a line that is too long`));
+        assert.ok(cue.endMs > cue.startMs, `${label} ends before it starts`);
+        assert.ok(cue.endMs - cue.startMs <= options.maxCueDurationMs, `${label} is shown too long`);
+        if (index > 0) {
+            assert.ok(cue.startMs >= cues[index - 1].endMs + options.minGapMs, `${label} overlaps the previous cue`);
+        }
+    });
+}
+
+test("the saved stream is parsed into segments covering the whole transcript", async () => {
+    const segments = await parseStream([SAMPLE.raw_text]);
+    assert.equal(segments.length, 97);
+    assert.deepEqual(segments[0].textLines, ["Well, hello there, and welcome to Obstructive Lung Disease."]);
+    segments.forEach((segment, index) => {
+        assert.ok(segment.endMs > segment.startMs);
+        assert.equal(segment.startMs, index > 0 ? segments[index - 1].endMs : 0);
+    });
+});
+
+test("events split across chunks are parsed the same as the whole stream", async () => {
+    const chunks = SAMPLE.raw_text.match(/[^]{1,37}/g);
+    assert.deepEqual(await parseStream(chunks), await parseStream([SAMPLE.raw_text]));
+});
+
+test("the finished transcript is stretched to the audio duration", async () => {
+    const segments = await parseStream([SAMPLE.raw_text], 600000);
+    assert.ok(Math.abs(segments[segments.length - 1].endMs - 600000) <= 1);
+});
+
+test("the saved stream comes out of improveReadability within every limit", async () => {
+    const segments = await parseStream([SAMPLE.raw_text]);
+    const cues = improveReadability(segments, DEFAULT_READABILITY_OPTIONS);
+    assert.ok(cues.length > segments.length);
+    assertReadable(cues);
+    assert.equal(joinText(cues), joinText(segments));
+});
+
+test("tighter limits are respected as well", async () => {
+    const options = {...DEFAULT_READABILITY_OPTIONS, maxLineLength: 32, maxLines: 1, maxCueDurationMs: 4000};
+    const segments = await parseStream([SAMPLE.raw_text]);
+    const cues = improveReadability(segments, options);
+    assertReadable(cues, options);
+    assert.equal(joinText(cues), joinText(segments));
+});
+
+test("text without spaces is wrapped between characters", () => {
+    const text = "今日はとても良い天気ですね。散歩に行きましょう。";
+    const lines = wrapLines(text, 16);
+    assert.ok(lines.length === 2 && lines.every(line => line.length <= 16));
+    assert.equal(lines.join(""), text);
+    assert.ok(!/^[、。]/.test(lines[1]));
+
+    const cues = improveReadability([{startMs: 0, endMs: 6000, textLines: [text.repeat(2)]}], {...DEFAULT_READABILITY_OPTIONS, maxLineLength: 16});
+    assertReadable(cues, {...DEFAULT_READABILITY_OPTIONS, maxLineLength: 16});
+    assert.equal(cues.map(cue => cue.textLines.join("")).join(""), text.repeat(2));
+});
+
+test("cues starting together are moved apart or merged", () => {
+    const moved = improveReadability([
+        {startMs: 1000, endMs: 1100, textLines: ["Hi"]},
+        {startMs: 1000, endMs: 5000, textLines: ["There is a lot more to say here."]},
+    ]);
+    assert.equal(moved.length, 2);
+    assertReadable(moved);
+
+    const merged = improveReadability([
+        {startMs: 1000, endMs: 1200, textLines: ["Hi"]},
+        {startMs: 1000, endMs: 1200, textLines: ["there"]},
+    ]);
+    assert.deepEqual(merged.map(cue => cue.textLines), [["Hi there"]]);
+});
+
+test("cues of two speakers starting together are moved apart, never merged", () => {
+    const cues = improveReadability([
+        {startMs: 1000, endMs: 1200, textLines: ["Hi"], speaker: "Speaker 1"},
+        {startMs: 1000, endMs: 1200, textLines: ["Hello"], speaker: "Speaker 2"},
+        {startMs: 1000, endMs: 1200, textLines: ["Hey"], speaker: "Speaker 2"},
+    ]);
+    assert.deepEqual(cues.map(cue => [cue.speaker, cue.textLines]), [["Speaker 1", ["Hi"]], ["Speaker 2", ["Hello Hey"]]]);
+    assert.ok(cues[1].startMs >= cues[0].endMs + DEFAULT_READABILITY_OPTIONS.minGapMs);
+    assert.ok(cues.every(cue => cue.endMs > cue.startMs));
+});
+
+test("the first line leaves room for the speaker label", () => {
+    const text = "So the question is whether we can keep every line short enough";
+    const lines = wrapLines(text, 42, 2, "Speaker 1: ".length);
+    assert.equal(lines.join(" "), text);
+    assert.ok(lines[0].length <= 42 - "Speaker 1: ".length);
+    assert.ok(lines[1].length <= 42);
+    // A label nearly as wide as the line still leaves half of it for the text.
+    assert.equal(wrapLines(text, 42, 2, 40)[0], "So the question is");
+
+    const srt = renderSegmentsToSrt([
+        {startMs: 0, endMs: 9000, textLines: [`${text}, and the answer is that we can.`], speaker: "Speaker 1"},
+        {startMs: 9000, endMs: 12000, textLines: ["Really? That is good to know."], speaker: "Speaker 2"},
+    ], {speakerNames: {"Speaker 2": "Dr. Margarethe Okonkwo-Lindqvist"}});
+    const textLines = srt.split("\n").filter(line => line && !/^\d+$/.test(line) && !line.includes("-->"));
+    assert.ok(textLines.some(line => line.startsWith("Speaker 1: ")));
+    assert.ok(textLines.some(line => line.startsWith("Dr. Margarethe Okonkwo-Lindqvist: ")));
+    textLines.filter(line => !line.startsWith("Dr. ")).forEach(line => assert.ok(line.length <= 42, `"${line}" is too long`));
+});
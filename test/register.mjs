@@ -0,0 +1,6 @@
+import {register} from "node:module";
+
+import {createIinaStub} from "./iina.mjs";
+
+register("./hooks.mjs", import.meta.url);
+globalThis.iina = createIinaStub();
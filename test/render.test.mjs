@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import {beforeEach, test} from "node:test";
+
+import {getSubtitleFormat, renderSegments, renderSegmentsToAss, renderSegmentsToSrt, renderSegmentsToVtt} from "../src/render.js";
+
+const SEGMENTS = [
+    {startMs: 3723456, endMs: 3725000, textLines: ["Later <b>cue</b> & more"], speaker: "B"},
+    {startMs: 500, endMs: 2000, textLines: ["First {\\an8}line", "second line"], speaker: "A"},
+];
+
+// These cover the formats themselves; the readability stage would reflow the lines.
+beforeEach(() => {
+    iina.preferences.set("readability_enabled", false);
+});
+
+test("SRT cues are numbered in time order with the speaker before the first line", () => {
+    assert.equal(renderSegmentsToSrt(SEGMENTS), [
+        "1", "00:00:00,500 --> 00:00:02,000", "A: First {\\an8}line", "second line", "",
+        "2", "01:02:03,456 --> 01:02:05,000", "B: Later <b>cue</b> & more", "",
+    ].join("\n"));
+    assert.equal(renderSegmentsToSrt([]), "");
+});
+
+test("WebVTT escapes markup and appends the configured cue settings", t => {
+    t.after(() => iina.stub.resetPreferences());
+    iina.preferences.set("vtt_cue_settings", "line:85%");
+    assert.equal(renderSegmentsToVtt(SEGMENTS), [
+        "WEBVTT", "",
+        "1", "00:00:00.500 --> 00:00:02.000 line:85%", "A: First {\\an8}line", "second line", "",
+        "2", "01:02:03.456 --> 01:02:05.000 line:85%", "B: Later &lt;b&gt;cue&lt;/b&gt; &amp; more", "",
+    ].join("\n"));
+});
+
+test("ASS gives each speaker a style of its own and neutralises override tags", () => {
+    const lines = renderSegmentsToAss(SEGMENTS).split("\n");
+    assert.equal(lines[0], "[Script Info]");
+    assert.deepEqual(lines.filter(line => line.startsWith("Style: ")).map(line => line.split(",").slice(0, 4).join(",")), [
+        "Style: Default,Arial,18,&H00FFFFFF",
+        "Style: Speaker_A_1,Arial,18,&H0000FFFF",
+        "Style: Speaker_B_2,Arial,18,&H00FFFF00",
+    ]);
+    assert.deepEqual(lines.filter(line => line.startsWith("Dialogue: ")), [
+        "Dialogue: 0,0:00:00.50,0:00:02.00,Speaker_A_1,A,0,0,0,,First (\\\u200ban8)line\\Nsecond line",
+        "Dialogue: 0,1:02:03.45,1:02:05.00,Speaker_B_2,B,0,0,0,,Later <b>cue</b> & more",
+    ]);
+});
+
+test("the format comes from the preferences, SRT when unknown", t => {
+    t.after(() => iina.stub.resetPreferences());
+    iina.preferences.set("subtitle_format", "VTT");
+    assert.equal(getSubtitleFormat(), "vtt");
+    assert.match(renderSegments(SEGMENTS), /^WEBVTT/);
+    iina.preferences.set("subtitle_format", "sub");
+    assert.equal(getSubtitleFormat(), "srt");
+});
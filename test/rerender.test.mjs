@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import {writeFileSync} from "node:fs";
+import {afterEach, beforeEach, test} from "node:test";
+
+import {fingerprintMedia, listArchivedTranscripts, persistSubtitleCopy} from "../src/archive.js";
+import {describeTranscription, rerenderFromRawOutput, transcribe} from "../src/transcribe.js";
+
+const MEDIA_URL = "https://example.com/lecture.mp4";
+const RAW_SRT = [
+    "1", "00:00:01,000 --> 00:00:03,000", "Welcome to the lecture.", "",
+    "2", "00:00:04,000 --> 00:00:06,000", "Thanks for watching!", "",
+].join("\n");
+let archiveCount = 0;
+let fingerprint;
+
+beforeEach(async () => {
+    archiveCount += 1;
+    iina.preferences.set("subtitle_archive_dir", `@data/rerender-${archiveCount}`);
+    iina.core.status.url = MEDIA_URL;
+    fingerprint = await fingerprintMedia(MEDIA_URL);
+    // Archived as the backend would have left it: filtered segments, plus the unfiltered response.
+    const path = iina.utils.resolvePath(`@tmp/rerender-${archiveCount}.srt`);
+    writeFileSync(path, "1\n00:00:01,000 --> 00:00:03,000\nWelcome to the lecture.\n");
+    await persistSubtitleCopy(path, MEDIA_URL, {fingerprint, descriptor: describeTranscription("whisper_server", "base")}, {
+        segments: [{startMs: 1000, endMs: 3000, textLines: ["Welcome to the lecture."]}],
+        raw: {version: 1, backend: "whisper_server", format: "whisper-server-srt", chunks: [{offsetMs: 0, body: RAW_SRT}], offsetMs: 0, range: null, silences: []},
+    });
+});
+
+afterEach(() => {
+    iina.stub.resetPreferences();
+    iina.core.status.url = null;
+});
+
+test("a transcript made with the same settings is loaded as it is", async () => {
+    const [archived] = listArchivedTranscripts(fingerprint);
+    assert.deepEqual(await transcribe("base"), [archived.path]);
+    assert.equal(listArchivedTranscripts(fingerprint).length, 1);
+});
+
+test("a transcript differing only in render settings is rendered again instead of transcribed", async () => {
+    iina.preferences.set("subtitle_format", "vtt");
+    const [path] = await transcribe("base");
+
+    assert.match(path, /\.vtt$/);
+    assert.match(iina.file.read(path), /^WEBVTT\n[^]*Welcome to the lecture\./);
+    const entries = listArchivedTranscripts(fingerprint);
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].path, path);
+    // The re-rendered transcript is described by the settings it was rendered with, so it is found directly next time.
+    assert.deepEqual(await transcribe("base"), [path]);
+});
+
+test("re-rendering from the raw output applies the current filter settings", async () => {
+    iina.preferences.set("hallucination_filter_enabled", false);
+    const path = await rerenderFromRawOutput();
+
+    assert.match(iina.file.read(path), /Thanks for watching!/);
+    assert.ok(iina.stub.loadedTracks.includes(path));
+    assert.equal(listArchivedTranscripts(fingerprint)[0].descriptor.filter.enabled, false);
+});
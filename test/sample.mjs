@@ -0,0 +1,19 @@
+import {readFileSync} from "node:fs";
+
+import {createOpenAIStreamHandler} from "../src/transcribe.js";
+
+// An OpenAI streaming response to a lecture recording, saved by the plugin while debugging: text
+// deltas only, so the segments are laid out from estimated durations.
+export const SAMPLE = JSON.parse(readFileSync(new URL("../whisper_tmp.wav.srt.openai.json", import.meta.url), "utf8"));
+
+export async function parseStream(chunks, durationMs = null) {
+    const updates = [];
+    const handler = createOpenAIStreamHandler(durationMs, segments => {
+        updates.push(segments);
+        return Promise.resolve();
+    });
+    chunks.forEach(chunk => handler.handleChunk(chunk));
+    handler.finalize();
+    await handler.waitForFlush();
+    return {handler, updates, segments: handler.getSegments()};
+}
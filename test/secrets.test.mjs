@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import {test} from "node:test";
+
+import {redactSecrets, resolveApiKey, writeAuthorizationHeader} from "../src/secrets.js";
+
+test("keys handed out are masked wherever they show up later", async () => {
+    const key = await resolveApiKey({apiKey: "gsk_0123456789abcdef"});
+    assert.equal(key, "gsk_0123456789abcdef");
+    assert.equal(redactSecrets(`curl failed for gsk_0123456789abcdef`), "curl failed for gsk…cdef");
+    assert.equal(redactSecrets("Authorization: Bearer abc.def"), "Authorization: Bearer [redacted]");
+    assert.equal(redactSecrets("key sk-proj-ABCDEFGHIJKLMNOP"), "key sk-…MNOP");
+    assert.equal(redactSecrets(undefined), "");
+});
+
+test("a key named by environment variable is read from IINA's environment", async () => {
+    process.env.WHISPERINA_TEST_KEY = "env-key-value";
+    try {
+        assert.equal(await resolveApiKey({apiKeyEnv: "WHISPERINA_TEST_KEY", apiKey: "stale"}), "env-key-value");
+    } finally {
+        delete process.env.WHISPERINA_TEST_KEY;
+    }
+    await assert.rejects(resolveApiKey({apiKeyEnv: "WHISPERINA_TEST_KEY", apiKey: "stale"}), /launchctl setenv WHISPERINA_TEST_KEY/);
+});
+
+test("the authorization header goes to a file only the user can read", async () => {
+    const path = `${iina.stub.root}/tmp/headers`;
+    assert.deepEqual(await writeAuthorizationHeader(path, "secret"), ["-H", `@${path}`]);
+    assert.equal(fs.readFileSync(path, "utf8"), "Authorization: Bearer secret\n");
+    assert.equal(fs.statSync(path).mode & 0o777, 0o600);
+    assert.deepEqual(await writeAuthorizationHeader(`${path}-none`, ""), []);
+    assert.equal(fs.existsSync(`${path}-none`), false);
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import {chmodSync, existsSync, readFileSync, writeFileSync} from "node:fs";
+import {afterEach, beforeEach, test} from "node:test";
+
+import "../src/global.js";
+import {acquireWhisperServer as requestServerForJob, stopWhisperServerOfJob} from "../src/jobs.js";
+import {acquireWhisperServer, releaseWhisperServer, resetServerLog, stopSlotWhisperServer} from "../src/server.js";
+
+const get = iina.http.get;
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, "timed out");
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+beforeEach(() => {
+    const serverPath = iina.utils.resolvePath("@tmp/fake-whisper-server");
+    writeFileSync(serverPath, "#!/bin/sh\necho \"listening on $4:$6\"\nexec sleep 60\n");
+    chmodSync(serverPath, 0o755);
+    iina.preferences.set("wserver_path", serverPath);
+    iina.http.get = () => Promise.resolve({statusCode: 200});
+});
+
+afterEach(() => {
+    iina.http.get = get;
+    iina.stub.resetPreferences();
+});
+
+test("a released server stays warm for the next job and is stopped when a window closes", async () => {
+    const server = await acquireWhisperServer({slot: 0, modelPath: "/models/ggml-base.bin", options: []});
+    assert.equal(server.port, 17896);
+    await waitFor(() => /listening on 127\.0\.0\.1:17896/.test(readFileSync(server.logPath, "utf8")));
+    releaseWhisperServer(0);
+
+    const reused = await acquireWhisperServer({slot: 0, modelPath: "/models/ggml-base.bin", options: []});
+    assert.equal(reused.pid, server.pid);
+    releaseWhisperServer(0);
+    assert.ok(isAlive(server.pid));
+
+    iina.stub.emit("iina.window-will-close");
+    await waitFor(() => !isAlive(server.pid));
+    assert.equal(existsSync(server.pidPath), false);
+});
+
+test("a server busy with a job survives other windows closing", async () => {
+    const server = await acquireWhisperServer({slot: 1, modelPath: "/models/ggml-base.bin", options: []});
+    iina.stub.emit("iina.window-will-close");
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.ok(isAlive(server.pid));
+
+    await stopSlotWhisperServer(1);
+    await waitFor(() => !isAlive(server.pid));
+});
+
+test("cancelling a job stops the server it is still waiting for", async () => {
+    iina.http.get = () => Promise.reject(new Error("connection refused"));
+    const job = {id: "cancelled-job", slot: 2};
+    const request = requestServerForJob(job, "/models/ggml-base.bin", []);
+    const pidPath = iina.utils.resolvePath("@tmp/jobs/server-2/whisper_server.pid");
+    await waitFor(() => existsSync(pidPath));
+    const pid = parseInt(readFileSync(pidPath, "utf8"), 10);
+
+    stopWhisperServerOfJob(job, () => new Error("Transcription cancelled."));
+    await assert.rejects(request, /Transcription cancelled/);
+    await waitFor(() => !isAlive(pid));
+});
+
+test("each job starts with an empty server log", async () => {
+    const logPath = iina.utils.resolvePath("@tmp/reset.log");
+    writeFileSync(logPath, "[00:00:00.000 --> 00:00:01.000]   Previous job.\n");
+    await resetServerLog({logPath});
+    assert.equal(readFileSync(logPath, "utf8"), "");
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import {writeFileSync} from "node:fs";
+import {afterEach, beforeEach, test} from "node:test";
+
+import {listArchivedTranscripts, persistSubtitleCopy, readSpeakerNames, writeSpeakerNames} from "../src/archive.js";
+import {renderSegments} from "../src/render.js";
+import {alignSpeakersWithArchive, mergeChunkSegments} from "../src/transcribe.js";
+
+const FINGERPRINT = "d".repeat(64);
+let archiveCount = 0;
+
+beforeEach(() => {
+    archiveCount += 1;
+    iina.preferences.set("subtitle_archive_dir", `@data/speakers-${archiveCount}`);
+});
+
+afterEach(() => {
+    iina.stub.resetPreferences();
+});
+
+function segment(startMs, endMs, text, speaker = null) {
+    return {startMs, endMs, textLines: [text], speaker};
+}
+
+test("chunks keep the labels of the speakers heard in their overlap", () => {
+    const first = [segment(0, 4000, "Hello.", "A"), segment(50000, 58000, "Hi there.", "B")];
+    // The next chunk starts at 55 s and calls the second speaker "A"; "B" is someone new.
+    const second = [segment(55000, 58000, "Hi there.", "A"), segment(60000, 62000, "Welcome.", "B")];
+
+    const merged = mergeChunkSegments(first, second, 55000);
+
+    assert.deepEqual(merged.map(({speaker}) => speaker), ["A", "B", "B~2"]);
+    assert.deepEqual(merged.map(({textLines}) => textLines[0]), ["Hello.", "Hi there.", "Welcome."]);
+});
+
+test("a new transcript reuses the archived speaker numbers, so stored names stay with the same person", async () => {
+    const archived = [segment(0, 5000, "Good evening.", "Speaker 1"), segment(5000, 9000, "Thanks.", "Speaker 2")];
+    const path = iina.utils.resolvePath(`@tmp/speakers-${archiveCount}.srt`);
+    writeFileSync(path, renderSegments(archived, "srt"));
+    await persistSubtitleCopy(path, "/Movies/panel.mkv", {fingerprint: FINGERPRINT, descriptor: {backend: "openai"}}, {segments: archived});
+    const [entry] = listArchivedTranscripts(FINGERPRINT);
+
+    // The second run heard the guest first, so its numbering is the other way round.
+    const fresh = [
+        segment(0, 4800, "Good evening.", "Speaker 2"),
+        segment(5100, 9000, "Thanks.", "Speaker 1"),
+        segment(9000, 12000, "And you are?", "Speaker 3"),
+    ];
+    const aligned = alignSpeakersWithArchive(fresh, entry);
+
+    assert.deepEqual(aligned.map(({speaker}) => speaker), ["Speaker 1", "Speaker 2", "Speaker 3"]);
+    assert.equal(alignSpeakersWithArchive(fresh, null), fresh);
+});
+
+test("speaker names are stored per media and applied when rendering", async () => {
+    await writeSpeakerNames(FINGERPRINT, {"Speaker 1": "Anna"});
+    await writeSpeakerNames("e".repeat(64), {"Speaker 1": "Ben"});
+    assert.deepEqual(readSpeakerNames(FINGERPRINT), {"Speaker 1": "Anna"});
+
+    const cues = [segment(0, 2000, "Hello.", "Speaker 1"), segment(2000, 4000, "Hi.", "Speaker 2")];
+    const srt = renderSegments(cues, "srt", {speakerNames: readSpeakerNames(FINGERPRINT)});
+    assert.match(srt, /\nAnna: Hello\.\n/);
+    assert.match(srt, /\nSpeaker 2: Hi\.\n/);
+
+    await writeSpeakerNames(FINGERPRINT, {});
+    assert.deepEqual(readSpeakerNames(FINGERPRINT), {});
+});
+
+test("the dash style marks only speaker changes and hidden drops the labels", () => {
+    const cues = [segment(0, 1000, "One.", "Speaker 1"), segment(1000, 2000, "Two.", "Speaker 1"), segment(2000, 3000, "Three.", "Speaker 2")];
+    iina.preferences.set("speaker_label_style", "dash");
+    assert.deepEqual(renderSegments(cues, "srt").split("\n").filter(line => /\.$/.test(line)), ["One.", "Two.", "- Three."]);
+    iina.preferences.set("speaker_label_style", "hidden");
+    assert.doesNotMatch(renderSegments(cues, "srt"), /Speaker/);
+    assert.doesNotMatch(renderSegments(cues, "ass"), /Style: Speaker_/);
+});
@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import {afterEach, test} from "node:test";
+
+import {getOpenAIProfile} from "../src/profiles.js";
+import {describeTranscription, getOpenAIEndpoint} from "../src/transcribe.js";
+
+afterEach(() => {
+    iina.stub.resetPreferences();
+});
+
+test("translations go to the sibling of the transcriptions endpoint", () => {
+    assert.equal(getOpenAIEndpoint(getOpenAIProfile()), "https://api.openai.com/v1/audio/transcriptions");
+    assert.equal(getOpenAIEndpoint(getOpenAIProfile(), true), "https://api.openai.com/v1/audio/translations");
+    iina.preferences.set("openai_base_url", "http://localhost:8000/v1/audio/transcriptions/");
+    assert.equal(getOpenAIEndpoint(getOpenAIProfile(), true), "http://localhost:8000/v1/audio/translations");
+});
+
+test("an endpoint without a transcriptions path cannot translate", () => {
+    iina.preferences.set("openai_base_url", "https://example.com/asr");
+    assert.equal(getOpenAIEndpoint(getOpenAIProfile()), "https://example.com/asr");
+    assert.throws(() => getOpenAIEndpoint(getOpenAIProfile(), true), /OpenAI: cannot derive a translations URL from https:\/\/example\.com\/asr/);
+});
+
+test("translations are cached apart from transcripts and use the translation model", () => {
+    const transcript = describeTranscription("openai", null);
+    const translation = describeTranscription("openai", null, null, true);
+
+    assert.equal(transcript.task, undefined);
+    assert.equal(translation.task, "translate");
+    assert.equal(translation.model, "whisper-1");
+    assert.equal(translation.options.stream, false);
+    assert.equal(describeTranscription("whisper_server", "base", null, true).task, "translate");
+});
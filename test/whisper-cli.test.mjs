@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+
+import {createCliOutputMonitor, getTranscriberMode} from "../src/transcribe.js";
+
+function recordProgress() {
+    const reported = {doneMs: [], fractions: []};
+    return {reported, update: doneMs => reported.doneMs.push(doneMs), setFraction: fraction => reported.fractions.push(fraction)};
+}
+
+test("whisper-cli output is streamed into the live subtitle one complete line at a time", () => {
+    const livePath = iina.utils.resolvePath("@tmp/cli-live.srt");
+    const progress = recordProgress();
+    const monitor = createCliOutputMonitor(livePath, 0, progress);
+    monitor.handleStdout("[00:00:00.000 --> 00:00:01.800]   Good morning");
+    assert.ok(!iina.file.exists(livePath));
+    monitor.handleStdout(", everyone.\n[00:00:01.800 --> 00:00:03.");
+    assert.equal(iina.file.read(livePath), "1\n00:00:00,000 --> 00:00:01,800\nGood morning, everyone.\n");
+    assert.ok(iina.stub.loadedTracks.includes(livePath));
+    assert.deepEqual(progress.reported.doneMs, [1800]);
+});
+
+test("whisper-cli progress lines move the progress on", () => {
+    const progress = recordProgress();
+    const monitor = createCliOutputMonitor(iina.utils.resolvePath("@tmp/cli-progress.srt"), 0, progress);
+    monitor.handleStderr("whisper_print_progress_callback: progress =  42%\n");
+    monitor.handleStderr("whisper_full_with_state: decoder 0\n");
+    assert.deepEqual(progress.reported.fractions, [0.42]);
+});
+
+test("unknown transcriber modes fall back to the whisper-server", t => {
+    t.after(() => iina.stub.resetPreferences());
+    iina.preferences.set("transcriber_mode", " Whisper_CLI ");
+    assert.equal(getTranscriberMode(), "whisper_cli");
+    iina.preferences.set("transcriber_mode", "whisper_gpu");
+    assert.equal(getTranscriberMode(), "whisper_server");
+});
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import {test} from "node:test";
+
+import {normalizeProfile} from "../src/profiles.js";
+import {improveReadability} from "../src/readability.js";
+import {renderSegmentsToAss} from "../src/render.js";
+import {parseOpenAIResponse, parseWhisperCliJson, parseWhisperServerJson} from "../src/transcribe.js";
+
+const word = (text, startMs, endMs) => ({text, startMs, endMs});
+
+test("whisper.cpp token pieces are joined into words and special tokens skipped", () => {
+    const [segment] = parseWhisperCliJson(JSON.stringify({transcription: [{
+        text: " Obstructive lungs,",
+        offsets: {from: 0, to: 1500},
+        tokens: [
+            {text: "[_BEG_]", offsets: {from: 0, to: 0}},
+            {text: " Obstruct", offsets: {from: 0, to: 400}},
+            {text: "ive", offsets: {from: 400, to: 700}},
+            {text: " lungs", offsets: {from: 800, to: 1400}},
+            {text: ",", offsets: {from: 1400, to: 1500}},
+        ],
+    }]}));
+    assert.deepEqual(segment.words, [word("Obstructive", 0, 700), word("lungs,", 800, 1500)]);
+
+    const [served] = parseWhisperServerJson(JSON.stringify({segments: [{
+        text: " Hi there.", start: 1, end: 2,
+        words: [{word: " Hi", start: 1, end: 1.3}, {word: " there.", start: 1.4, end: 2}],
+    }]}));
+    assert.deepEqual(served.words, [word("Hi", 1000, 1300), word("there.", 1400, 2000)]);
+});
+
+test("OpenAI word timings are only used for profiles that ask for them", () => {
+    const body = JSON.stringify({
+        text: "Good morning. Let us begin.",
+        words: [
+            {word: "Good", start: 0, end: 0.3}, {word: "morning.", start: 0.3, end: 0.9},
+            {word: "Let", start: 2.5, end: 2.7}, {word: "us", start: 2.7, end: 2.8}, {word: "begin.", start: 2.8, end: 3.2},
+        ],
+    });
+    const withWords = parseOpenAIResponse(body, normalizeProfile({name: "Groq", capabilities: {wordTimestamps: true}}));
+    assert.deepEqual(withWords.map(segment => [segment.startMs, segment.endMs, segment.textLines.join(" ")]),
+        [[0, 900, "Good morning."], [2500, 3200, "Let us begin."]]);
+    const withoutWords = parseOpenAIResponse(body, normalizeProfile({name: "Plain"}));
+    assert.ok(withoutWords.every(segment => !segment.words));
+});
+
+test("a long segment is split on the boundaries of its words", () => {
+    const texts = "This is the first sentence of the answer. And this is the second one that follows it.".split(" ");
+    const words = texts.map((text, index) => word(text.replace(/\.$/, ""), index < 8 ? index * 300 : 5000 + index * 300, (index < 8 ? index * 300 : 5000 + index * 300) + 250));
+    const cues = improveReadability([{startMs: 0, endMs: 9000, textLines: [texts.join(" ")], words}], {maxLineLength: 42, maxLines: 1});
+    assert.ok(cues.length >= 2);
+    cues.forEach(cue => {
+        assert.equal(cue.words.map(entry => entry.text).join(" "), cue.textLines.join(" "));
+    });
+    assert.equal(cues[1].startMs, cues[1].words[0].startMs);
+});
+
+test("a word split in the middle falls back to timing by character count", () => {
+    const text = "今日はとても良い天気ですね散歩に行きましょうそれから公園でお弁当を食べましょう";
+    const cues = improveReadability([{startMs: 0, endMs: 6000, textLines: [text], words: [word(text, 0, 6000)]}], {maxLineLength: 16});
+    assert.ok(cues.length > 1);
+    assert.ok(cues.every(cue => cue.words === null));
+    assert.equal(cues.map(cue => cue.textLines.join("")).join(""), text);
+});
+
+test("karaoke ASS times each word with \\k tags", t => {
+    t.after(() => iina.stub.resetPreferences());
+    iina.preferences.set("ass_karaoke", true);
+    const ass = renderSegmentsToAss([{startMs: 1000, endMs: 2500, textLines: ["Hello, world"], words: [word("Hello", 1000, 1400), word("world", 1600, 2500)]}]);
+    assert.match(ass, /,,\{\\k40\}Hello, \{\\k20\}\{\\k90\}world\n/);
+});